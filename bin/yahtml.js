@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import { run } from '../src/cli.js';
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, error => {
+  process.stderr.write(`yahtml: ${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+/**
+ * Build the CommonJS entry point, dist/index.cjs, and its type declarations.
+ *
+ * The ES modules in src/ are the source; this bundles them into one synchronous
+ * CommonJS file for `require('yahtml')`. Run with `npm run build:cjs` (it also
+ * runs before packing and publishing).
+ */
+import { build } from 'esbuild';
+import fs from 'fs';
+import path from 'path';
+
+const root = path.dirname(new URL(import.meta.url).pathname);
+const dist = path.join(root, 'dist');
+
+await build({
+  entryPoints: [path.join(root, 'index.js')],
+  outfile: path.join(dist, 'index.cjs'),
+  bundle: true,
+  format: 'cjs',
+  platform: 'node',
+  target: 'node14',
+  // Dependencies such as js-yaml are required from node_modules, not bundled
+  packages: 'external',
+  logLevel: 'warning'
+});
+
+// TypeScript does not let CommonJS declarations re-export ES module declarations,
+// so each declaration file is copied as a .d.cts file with .cjs specifiers
+const declarations = ['index.d.ts', ...fs.readdirSync(path.join(root, 'src'))
+  .filter(name => name.endsWith('.d.ts') && name !== 'cli.d.ts')
+  .map(name => `src/${name}`)];
+
+for (const file of declarations) {
+  const source = fs.readFileSync(path.join(root, file), 'utf8')
+    .replace(/(from |import\()(["'])\.\/(?:src\/)?([\w-]+)\.js\2/g, '$1$2./$3.cjs$2');
+  fs.writeFileSync(path.join(dist, `${path.basename(file, '.d.ts')}.d.cts`), source);
+}
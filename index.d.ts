@@ -1,3 +1,23 @@
-export { convertToHtml, SELF_CLOSING_TAGS } from "./src/yahtml";
+export { convertToHtml, renderTemplate, compile, parse, render, transform, resolveAttributes, resolveBindings, resolveNamespace, NAMESPACES, SELF_CLOSING_TAGS } from "./src/yahtml.js";
+export { renderToDom, patch } from "./src/dom.js";
+export type { DomRenderOptions } from "./src/dom.js";
+export { toHyperscript } from "./src/hyperscript.js";
+export type { HyperscriptFactory, HyperscriptOptions, HyperscriptProps } from "./src/hyperscript.js";
+export type { Binding, CompiledTemplate, CompileOptions, ConvertOptions, ParseOptions, RenderOptions, SourceMapResult, SourceMapping, TemplateData, YahtmlPath, YahtmlPlugin, PluginContext, YahtmlNode, YahtmlElementNode, YahtmlTextNode, YahtmlRawNode, YahtmlCommentNode, YahtmlDoctypeNode } from "./src/yahtml.js";
+export { convertFromHtml } from "./src/from-html.js";
+export { stringify } from "./src/stringify.js";
+export type { StringifyOptions } from "./src/stringify.js";
+export { convertYamlToHtml, YahtmlSourceError } from "./src/yaml.js";
+export type { YamlConvertOptions } from "./src/yaml.js";
+export { validate, validateAst } from "./src/validate.js";
+export type { Diagnostic, ValidateOptions, ValidationRule, ValidationSeverity } from "./src/validate.js";
+export { sanitize, DEFAULT_SANITIZE_POLICY } from "./src/sanitize.js";
+export type { SanitizePolicy } from "./src/sanitize.js";
+export { expandComponents } from "./src/components.js";
+export type { ComponentRegistry, ComponentFunction, ComponentSlots } from "./src/components.js";
+export { renderDocument } from "./src/document.js";
+export type { DocumentPage } from "./src/document.js";
+export { renderToIterable, renderToStream } from "./src/stream.js";
+export type { StreamOptions } from "./src/stream.js";
 export default convertToHtml;
-declare const convertToHtml: typeof import("./src/yahtml").convertToHtml;
\ No newline at end of file
+declare const convertToHtml: typeof import("./src/yahtml.js").convertToHtml;
@@ -5,6 +5,16 @@
  * @license MIT
  */
 
-export { convertToHtml, SELF_CLOSING_TAGS } from './src/yahtml.js';
+export { convertToHtml, renderTemplate, compile, parse, render, transform, resolveAttributes, resolveBindings, resolveNamespace, NAMESPACES, SELF_CLOSING_TAGS } from './src/yahtml.js';
+export { renderToDom, patch } from './src/dom.js';
+export { toHyperscript } from './src/hyperscript.js';
+export { convertFromHtml } from './src/from-html.js';
+export { stringify } from './src/stringify.js';
+export { convertYamlToHtml, YahtmlSourceError } from './src/yaml.js';
+export { validate, validateAst } from './src/validate.js';
+export { sanitize, DEFAULT_SANITIZE_POLICY } from './src/sanitize.js';
+export { expandComponents } from './src/components.js';
+export { renderDocument } from './src/document.js';
+export { renderToIterable, renderToStream } from './src/stream.js';
 import { convertToHtml } from './src/yahtml.js';
-export default convertToHtml;
\ No newline at end of file
+export default convertToHtml;
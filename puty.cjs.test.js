@@ -0,0 +1,22 @@
+/**
+ * Runs the YAML specs against the CommonJS build. Each src module the specs
+ * import is replaced with `require('yahtml')`, so every case runs against the
+ * synchronous CommonJS entry instead of the ES modules.
+ */
+import path from 'path'
+import fs from 'fs'
+import { createRequire } from 'module'
+import { vi } from 'vitest'
+import { setupTestSuiteFromYaml } from 'puty'
+
+const __dirname = path.dirname(new URL(import.meta.url).pathname)
+const require = createRequire(import.meta.url)
+const yahtml = require('yahtml')
+
+for (const file of fs.readdirSync(path.join(__dirname, 'src'))) {
+  if (file.endsWith('.js') && file !== 'cli.js') {
+    vi.doMock(path.join(__dirname, 'src', file), () => yahtml)
+  }
+}
+
+await setupTestSuiteFromYaml(__dirname);
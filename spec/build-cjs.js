@@ -0,0 +1,8 @@
+/**
+ * Vitest global setup: build dist/index.cjs before the specs require it.
+ */
+import { execFileSync } from 'child_process';
+
+export default function setup() {
+  execFileSync(process.execPath, [new URL('../esbuild.js', import.meta.url).pathname], { stdio: 'inherit' });
+}
@@ -0,0 +1,228 @@
+/**
+ * Command-line specs: run() compiles files written to a temporary directory,
+ * with stdout, stderr and stdin replaced for each call.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { run } from '../src/cli.js';
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'yahtml-cli-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  vi.restoreAllMocks();
+});
+
+/**
+ * Write files below the temporary directory
+ * @param {Object<string, string>} files - File contents by path relative to the directory
+ */
+function writeFiles(files) {
+  for (const [name, content] of Object.entries(files)) {
+    const file = path.join(directory, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+}
+
+/**
+ * Read the files below a directory
+ * @param {string} root - The directory
+ * @returns {Object<string, string>} File contents by path relative to the directory, with / separators
+ */
+function readFiles(root) {
+  const files = {};
+  for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+    const file = path.join(root, entry.name);
+    if (entry.isDirectory()) {
+      for (const [name, content] of Object.entries(readFiles(file))) {
+        files[`${entry.name}/${name}`] = content;
+      }
+    } else {
+      files[entry.name] = fs.readFileSync(file, 'utf8');
+    }
+  }
+  return files;
+}
+
+/**
+ * Run the command with arguments relative to the temporary directory
+ * @param {string[]} args - Arguments; paths starting with `./`, also in `--out-dir=./dir`, are resolved in the temporary directory
+ * @param {string} [stdin] - Text read from stdin
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} The exit code and output, with the
+ *   temporary directory written as `.`
+ */
+async function runCli(args, stdin = '') {
+  const output = { stdout: '', stderr: '' };
+  for (const name of ['stdout', 'stderr']) {
+    vi.spyOn(process[name], 'write').mockImplementation(chunk => {
+      output[name] += String(chunk).split(directory).join('.');
+      return true;
+    });
+  }
+
+  const input = new PassThrough();
+  input.end(stdin);
+  const descriptor = Object.getOwnPropertyDescriptor(process, 'stdin');
+  Object.defineProperty(process, 'stdin', { value: input, configurable: true });
+  try {
+    const code = await run(args.map(arg => arg.replace(/^(--out-dir=)?\.\//, (match, option = '') => option + directory + path.sep)));
+    return { code, ...output };
+  } finally {
+    Object.defineProperty(process, 'stdin', descriptor);
+  }
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true once the wait is over
+ * @param {number} [timeout=2000] - Milliseconds to wait before failing
+ * @returns {Promise<void>} Resolves when the condition holds
+ */
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for the condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('yahtml command', () => {
+  it('writes the HTML of each file to stdout', async () => {
+    writeFiles({ 'a.yaml': "- 'h1: \"A\"'\n", 'b.yahtml': "- ul:\n  - 'li: \"B\"'\n" });
+
+    expect(await runCli(['./a.yaml', './b.yahtml', '--pretty'])).toEqual({
+      code: 0,
+      stdout: '<h1>A</h1>\n<ul>\n  <li>B</li>\n</ul>\n',
+      stderr: ''
+    });
+  });
+
+  it('mirrors input directories in the output directory', async () => {
+    writeFiles({
+      'pages/index.yaml': "- 'h1: \"Home\"'\n",
+      'pages/blog/post.yml': "- 'p: \"Post\"'\n",
+      'pages/notes.txt': 'not compiled'
+    });
+
+    const result = await runCli(['./pages', '--out-dir', './dist']);
+
+    expect(result).toEqual({ code: 0, stdout: '', stderr: '' });
+    expect(readFiles(path.join(directory, 'dist'))).toEqual({
+      'blog/post.html': '<p>Post</p>\n',
+      'index.html': '<h1>Home</h1>\n'
+    });
+  });
+
+  it('writes files from several directories below their common directory', async () => {
+    writeFiles({ 'site/en/a.yaml': "- 'p: \"en\"'\n", 'site/fr/a.yaml': "- 'p: \"fr\"'\n" });
+
+    expect((await runCli(['./site/en', './site/fr/a.yaml', '--out-dir=./out'])).code).toBe(0);
+    expect(readFiles(path.join(directory, 'out'))).toEqual({ 'en/a.html': '<p>en</p>\n', 'fr/a.html': '<p>fr</p>\n' });
+  });
+
+  it('reports failing files with exit code 1 and still compiles the others', async () => {
+    writeFiles({ 'bad.yaml': "- p: ok\n- \"a href='/home: Home\"\n", 'good.yaml': "- 'p: \"ok\"'\n" });
+
+    const result = await runCli(['./bad.yaml', './good.yaml']);
+
+    expect(result.code).toBe(1);
+    expect(result.stdout).toBe('<p>ok</p>\n');
+    expect(result.stderr).toBe([
+      './bad.yaml:2:3: Malformed YAHTML element: "a href=\'/home" - unterminated quoted value for attribute "href"',
+      '  1 | - p: ok',
+      '> 2 | - "a href=\'/home: Home"',
+      '    |   ^',
+      '',
+      ''
+    ].join('\n'));
+  });
+
+  it('reports files that cannot be written with exit code 1', async () => {
+    writeFiles({ 'a.yaml': "- 'p: \"a\"'\n", 'sub/b.yaml': "- 'p: \"b\"'\n", 'out/sub': 'a file, not a directory' });
+
+    const result = await runCli(['./a.yaml', './sub/b.yaml', '--out-dir', './out']);
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toMatch(/^yahtml: E(EXIST|NOTDIR): .*out\/sub/);
+    expect(fs.readFileSync(path.join(directory, 'out', 'a.html'), 'utf8')).toBe('<p>a</p>\n');
+  });
+
+  it('reads stdin when there is no input or the input is -', async () => {
+    expect(await runCli([], "- 'p: \"Piped\"'\n")).toEqual({ code: 0, stdout: '<p>Piped</p>\n', stderr: '' });
+    expect(await runCli(['-', '-p'], "- div:\n  - 'p: \"Piped\"'\n")).toEqual({
+      code: 0,
+      stdout: '<div>\n  <p>Piped</p>\n</div>\n',
+      stderr: ''
+    });
+  });
+
+  it('reports stdin errors with exit code 1', async () => {
+    const result = await runCli([], 'div: "Hello"\n');
+    expect(result.code).toBe(1);
+    expect(result.stderr).toMatch(/^<stdin>:1:1: YAHTML content must be an array\./);
+  });
+
+  it('exits with code 2 for usage errors', async () => {
+    const unknown = await runCli(['--minify']);
+    expect(unknown.code).toBe(2);
+    expect(unknown.stderr).toMatch(/^yahtml: unknown option --minify\n\nUsage: yahtml/);
+
+    expect((await runCli(['--out-dir'])).stderr).toMatch(/^yahtml: --out-dir needs a directory\n/);
+    expect(await runCli(['./missing.yaml'])).toEqual({ code: 2, stdout: '', stderr: 'yahtml: ./missing.yaml: no such file or directory\n' });
+
+    writeFiles({ 'a.yaml': '[]\n' });
+    expect((await runCli(['-', './a.yaml'])).stderr).toBe('yahtml: stdin ("-") cannot be combined with other inputs\n');
+    expect(await runCli(['--watch'])).toEqual({ code: 2, stdout: '', stderr: 'yahtml: --watch needs input files\n' });
+  });
+
+  it('rebuilds files saved in place or by renaming a new file over them', async () => {
+    const watchers = [];
+    const watchDirectory = fs.watch;
+    vi.spyOn(fs, 'watch').mockImplementation((...args) => {
+      const watcher = watchDirectory(...args);
+      watchers.push(watcher);
+      return watcher;
+    });
+    const output = path.join(directory, 'out', 'a.html');
+    const save = (text, rename) => {
+      const file = path.join(directory, rename ? 'a.yaml.tmp' : 'a.yaml');
+      fs.writeFileSync(file, `- 'p: "${text}"'\n`);
+      if (rename) {
+        fs.renameSync(file, path.join(directory, 'a.yaml'));
+      }
+    };
+
+    try {
+      save('one');
+      const result = await runCli(['./a.yaml', '-o', './out', '-w']);
+      expect(result.code).toBe(0);
+      expect(fs.readFileSync(output, 'utf8')).toBe('<p>one</p>\n');
+
+      for (const [text, rename] of [['two', true], ['three', true], ['four', false]]) {
+        save(text, rename);
+        await waitFor(() => fs.readFileSync(output, 'utf8') === `<p>${text}</p>\n`);
+      }
+    } finally {
+      watchers.forEach(watcher => watcher.close());
+    }
+  });
+
+  it('prints the help and the version', async () => {
+    const help = await runCli(['--help']);
+    expect(help.code).toBe(0);
+    expect(help.stdout).toMatch(/^Usage: yahtml \[options\]/);
+
+    const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    expect(await runCli(['-v'])).toEqual({ code: 0, stdout: `${pkg.version}\n`, stderr: '' });
+  });
+});
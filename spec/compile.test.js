@@ -0,0 +1,90 @@
+/**
+ * Compiled template specs: the functions compile returns render the same HTML
+ * as renderTemplate.
+ */
+import { describe, it, expect } from 'vitest';
+import { compile, renderTemplate, convertToHtml } from '../src/yahtml.js';
+
+const template = [
+  '!DOCTYPE html:',
+  { 'html lang=${lang}': [
+    { head: ['title: "${title} $${not a variable}"', { script: 'const s = `${name}`;' }] },
+    { body: [
+      'h1.title class="${extra}": "Hello ${user.name}"',
+      'a href=${user.url} title="${user.name} (${user.role})": "Profile"',
+      { '$if user.admin': ['p: "Admin"'], '$elif !user.verified': 'p: "Unverified"', $else: ['p: "Member"'] },
+      { 'ul.items': [
+        { '$for item, i in items': [
+          { 'li data-index=${i}': ['${item.name}', { '$for tag in item.tags': ['span.tag: "${tag}"'] }] }
+        ] }
+      ] },
+      { '$if items': [], $else: 'p: "Empty"' },
+      { svg: ['circle r=${size}:'] },
+      'button @click=save: "Save"',
+      { '!--': ' ${not interpolated} ' }
+    ] }
+  ] }
+];
+
+const data = {
+  lang: 'en',
+  title: 'Team',
+  extra: '',
+  user: { name: '<Ada & "Co">', url: 'javascript:alert(1)', role: 'editor', admin: false, verified: true },
+  items: [{ name: 'Tea', tags: ['hot', 'green'] }, { name: 'Cake', tags: [] }],
+  size: 4
+};
+
+describe('compile', () => {
+  for (const options of [{ bindings: 'data' }, { bindings: 'attribute', mode: 'xhtml' }, { sanitize: true }]) {
+    it(`matches renderTemplate with ${JSON.stringify(options)}`, () => {
+      const render = compile(template, options);
+      expect(render(data)).toBe(renderTemplate(template, data, options));
+      const other = { ...data, extra: 'wide  dark', user: { ...data.user, url: '/ada', admin: true }, items: [] };
+      expect(render(other)).toBe(renderTemplate(template, other, options));
+    });
+  }
+
+  it('matches convertToHtml for content without template syntax', () => {
+    const page = [{ 'main#app.container': ['h1: "Fish & Chips"', 'img src=/a.png alt="":', { ul: ['li: "One"', 'li: "Two"'] }] }];
+    expect(compile(page)()).toBe(convertToHtml(page));
+  });
+
+  it('leaves out empty class attributes and sanitized URLs', () => {
+    const render = compile(['p class=${a}: "A"', 'p.card class=${a}: "B"', 'a href=${url}: "C"'], { sanitize: true });
+    expect(render({ a: ' ', url: 'JavaScript:alert(1)' })).toBe('<p>A</p><p class="card">B</p><a>C</a>');
+    expect(render({ a: 'x  y', url: 'https://example.com' })).toBe('<p class="x y">A</p><p class="card x y">B</p><a href="https://example.com">C</a>');
+  });
+
+  it('keeps private-use characters in static text', () => {
+    const render = compile(['p: "\uE00099\uE001"', 'p title="\uE0000\uE001": "${icon} \uE0000\uE001"']);
+    expect(render({ icon: 'x' })).toBe('<p>\uE00099\uE001</p><p title="\uE0000\uE001">x \uE0000\uE001</p>');
+  });
+
+  it('emits an ES module that renders the same HTML', async () => {
+    const source = compile(template, { sanitize: true, module: true });
+    const { default: render } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+    expect(render(data)).toBe(renderTemplate(template, data, { sanitize: true }));
+  });
+
+  it('throws for malformed templates when compiling', () => {
+    expect(() => compile([{ ul: [{ '$for item of items': ['li: "${item}"'] }] }]))
+      .toThrow(expect.objectContaining({ message: expect.stringContaining('Malformed YAHTML template'), path: [0, 'ul', 0] }));
+    expect(() => compile(['p: "${a + b}"'])).toThrow('Invalid template expression "a + b"');
+    expect(() => compile(['a href="/${a.b c}":'])).toThrow('Invalid template expression "a.b c"');
+    expect(() => compile('p: "Text"')).toThrow('YAHTML content must be an array.');
+    expect(() => compile(['p: "Text"'], { pretty: true }))
+      .toThrow('The "pretty" option cannot be used with compile. Use renderTemplate instead.');
+    expect(() => compile(['p: "Text"'], { sourceMap: true }))
+      .toThrow('The "sourceMap" option cannot be used with compile. Use renderTemplate instead.');
+    expect(() => compile(['p: "Text"'], { pathAttributes: true }))
+      .toThrow('The "pathAttributes" option cannot be used with compile. Use renderTemplate instead.');
+  });
+
+  it('throws for undefined variables and missing data when rendering', () => {
+    const render = compile([{ '$for item in items': ['p: "${item.nmae}"'] }]);
+    expect(() => render({ items: [{ name: 'Tea' }] })).toThrow('Undefined template variable "item.nmae"');
+    expect(() => render({ items: 'Tea' })).toThrow('Template variable "items" in "$for item in items" must be an array');
+    expect(() => render(null)).toThrow('Template data must be an object of variables');
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Package entry point specs: `import` and `require()` give the same API.
+ * The YAML specs themselves run against both (puty.test.js and puty.cjs.test.js).
+ */
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+import * as esm from '../index.js';
+
+const require = createRequire(import.meta.url);
+
+describe('package entry points', () => {
+  it('requires the full API synchronously', () => {
+    const cjs = require('yahtml');
+    expect(Object.keys(cjs).sort()).toEqual(Object.keys(esm).sort());
+    expect(cjs.convertToHtml(['p: "Hi"'])).toBe('<p>Hi</p>');
+    expect(cjs.default).toBe(cjs.convertToHtml);
+  });
+
+  it('compiles working modules with the CommonJS build', async () => {
+    const template = [{ 'ul.tags': [{ '$for tag in tags': ['li class=${tag}: "${tag}"'] }] }, 'a href=${url}: "Link"'];
+    const source = require('yahtml').compile(template, { module: true, sanitize: true });
+    const { default: render } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+    const data = { tags: ['a', '<b>'], url: 'javascript:void(0)' };
+    expect(render(data)).toBe(esm.renderTemplate(template, data, { sanitize: true }));
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Minimal DOM stand-in for running the DOM renderers on Node without a browser.
+ * Nodes are serialized back to markup so specs can compare plain strings.
+ */
+import { renderToDom } from '../src/dom.js';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+class FakeNode {
+  constructor(nodeType, ownerDocument) {
+    this.nodeType = nodeType;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get lastChild() {
+    return this.childNodes[this.childNodes.length - 1] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get previousSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) - 1] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(child => child.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach(child => { child.parentNode = null; });
+    this.childNodes = [];
+    if (value) {
+      this.appendChild(this.ownerDocument.createTextNode(value));
+    }
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  insertBefore(child, reference) {
+    const children = child.nodeType === DOCUMENT_FRAGMENT_NODE ? [...child.childNodes] : [child];
+    for (const node of children) {
+      if (node.parentNode) {
+        node.parentNode.removeChild(node);
+      }
+      const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+      this.childNodes.splice(index, 0, node);
+      node.parentNode = this;
+    }
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index < 0) {
+      throw new Error('The node to be removed is not a child of this node.');
+    }
+    this.childNodes.splice(index, 1);
+    child.parentNode = null;
+    return child;
+  }
+
+  replaceChild(newChild, oldChild) {
+    this.insertBefore(newChild, oldChild);
+    return this.removeChild(oldChild);
+  }
+}
+
+class FakeText extends FakeNode {
+  constructor(data, ownerDocument) {
+    super(TEXT_NODE, ownerDocument);
+    this.data = data;
+  }
+
+  get nodeValue() {
+    return this.data;
+  }
+
+  set nodeValue(value) {
+    this.data = value;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = value;
+  }
+}
+
+class FakeComment extends FakeText {
+  constructor(data, ownerDocument) {
+    super(data, ownerDocument);
+    this.nodeType = COMMENT_NODE;
+  }
+}
+
+/**
+ * Markup assigned to innerHTML, kept unparsed and serialized as written
+ */
+class FakeMarkup extends FakeText {}
+
+class FakeElement extends FakeNode {
+  constructor(tagName, namespaceURI, ownerDocument) {
+    super(ELEMENT_NODE, ownerDocument);
+    this.localName = tagName;
+    this.namespaceURI = namespaceURI;
+    this.attributes = [];
+    this.listeners = [];
+    if (tagName === 'template') {
+      this.content = new FakeNode(DOCUMENT_FRAGMENT_NODE, ownerDocument);
+    }
+  }
+
+  set innerHTML(value) {
+    const target = this.content || this;
+    target.textContent = '';
+    target.appendChild(new FakeMarkup(value, this.ownerDocument));
+  }
+
+  get tagName() {
+    return this.namespaceURI === HTML_NAMESPACE ? this.localName.toUpperCase() : this.localName;
+  }
+
+  getAttribute(name) {
+    const attr = this.attributes.find(a => a.name === name);
+    return attr ? attr.value : null;
+  }
+
+  hasAttribute(name) {
+    return this.attributes.some(a => a.name === name);
+  }
+
+  setAttribute(name, value) {
+    const attr = this.attributes.find(a => a.name === name);
+    if (attr) {
+      attr.value = String(value);
+    } else {
+      this.attributes.push({ name, value: String(value), namespaceURI: null });
+    }
+  }
+
+  setAttributeNS(namespaceURI, name, value) {
+    this.setAttribute(name, value);
+    this.attributes.find(a => a.name === name).namespaceURI = namespaceURI;
+  }
+
+  removeAttribute(name) {
+    this.attributes = this.attributes.filter(a => a.name !== name);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push({ type, listener });
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(l => l.type !== type || l.listener !== listener);
+  }
+}
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+class FakeDocument {
+  createElement(tagName) {
+    return new FakeElement(tagName.toLowerCase(), HTML_NAMESPACE, this);
+  }
+
+  createElementNS(namespaceURI, qualifiedName) {
+    return new FakeElement(qualifiedName, namespaceURI, this);
+  }
+
+  createTextNode(data) {
+    return new FakeText(data, this);
+  }
+
+  createComment(data) {
+    return new FakeComment(data, this);
+  }
+
+  createDocumentFragment() {
+    return new FakeNode(DOCUMENT_FRAGMENT_NODE, this);
+  }
+}
+
+/**
+ * Create a new fake document
+ * @returns {FakeDocument} The document
+ */
+export function createDocument() {
+  return new FakeDocument();
+}
+
+/**
+ * Own fields of fake elements that are not DOM properties set by a renderer
+ */
+const ELEMENT_FIELDS = ['nodeType', 'ownerDocument', 'parentNode', 'childNodes', 'localName', 'namespaceURI', 'attributes', 'listeners', 'content'];
+
+/**
+ * Serialize a fake node to markup, showing namespaces of foreign elements and attributes,
+ * event listeners as ` @type` and assigned properties as ` .name=value`
+ * @param {FakeNode} node - The node to serialize
+ * @returns {string} The markup
+ */
+export function serialize(node) {
+  if (node instanceof FakeMarkup) {
+    return node.data;
+  }
+  if (node.nodeType === TEXT_NODE) {
+    return node.data.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+  if (node.nodeType === COMMENT_NODE) {
+    return `<!--${node.data}-->`;
+  }
+
+  const children = node.childNodes.map(serialize).join('');
+  if (node.nodeType === DOCUMENT_FRAGMENT_NODE) {
+    return children;
+  }
+
+  const namespace = node.namespaceURI === HTML_NAMESPACE ? '' : ` {${node.namespaceURI}}`;
+  const attributes = node.attributes
+    .map(a => ` ${a.name}${a.namespaceURI ? `{${a.namespaceURI}}` : ''}="${a.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+    .join('');
+  const listeners = node.listeners.map(l => ` @${l.type}`).join('');
+  const properties = Object.keys(node)
+    .filter(key => !ELEMENT_FIELDS.includes(key))
+    .map(key => ` .${key}=${typeof node[key] === 'function' ? '[function]' : JSON.stringify(node[key])}`)
+    .join('');
+  return `<${node.localName}${namespace}${attributes}${listeners}${properties}>${children}</${node.localName}>`;
+}
+
+/**
+ * Render YAHTML with renderToDom into a fake document and serialize the fragment
+ * @param {Array} yahtmlContent - The YAHTML content
+ * @param {Object} [options] - Options for renderToDom; a fake document is used unless one is given
+ * @returns {string} The serialized fragment
+ */
+export function renderToFakeDom(yahtmlContent, options = {}) {
+  return serialize(renderToDom(yahtmlContent, { document: createDocument(), ...options }));
+}
@@ -0,0 +1,125 @@
+/**
+ * DOM patching specs: each spec patches the same container several times and
+ * checks which nodes were kept.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { patch } from '../src/dom.js';
+import { createDocument, serialize } from './fake-dom.js';
+
+/**
+ * Create a container element in a new fake document
+ * @returns {Object} The container
+ */
+function createContainer() {
+  return createDocument().createElement('div');
+}
+
+/**
+ * Render a todo list with keyed items
+ * @param {Array<{id: number, title: string}>} todos - The items
+ * @returns {Array} The YAHTML content
+ */
+function todoList(todos) {
+  return [{ 'ul.todos': todos.map(todo => `li key=${todo.id}: "${todo.title}"`) }];
+}
+
+describe('patch', () => {
+  it('renders into the container and replaces content it did not render', () => {
+    const container = createContainer();
+    container.appendChild(container.ownerDocument.createTextNode('Loading'));
+
+    expect(patch(container, ['h1: "Title"', 'p: "Fish & Chips"'])).toBe(container);
+    expect(serialize(container)).toBe('<div><h1>Title</h1><p>Fish &amp; Chips</p></div>');
+  });
+
+  it('keeps elements and updates changed text and attributes', () => {
+    const container = createContainer();
+    patch(container, [{ 'form.signup': ['input#name name=user placeholder=Name required:', 'p.hint: "Enter a name"'] }]);
+    const [form] = container.childNodes;
+    const [input, hint] = form.childNodes;
+    const setAttribute = vi.spyOn(input, 'setAttribute');
+
+    patch(container, [{ 'form.signup': ['input#name name=user placeholder="Your name":', 'p.hint.error: "Name is taken"'] }]);
+
+    expect(container.childNodes[0]).toBe(form);
+    expect(form.childNodes[0]).toBe(input);
+    expect(form.childNodes[1]).toBe(hint);
+    expect(setAttribute.mock.calls).toEqual([['placeholder', 'Your name']]);
+    expect(serialize(container)).toBe('<div><form class="signup"><input id="name" name="user" placeholder="Your name"></input><p class="hint error">Name is taken</p></form></div>');
+  });
+
+  it('moves keyed items instead of creating them again', () => {
+    const container = createContainer();
+    patch(container, todoList([{ id: 1, title: 'Tea' }, { id: 2, title: 'Cake' }, { id: 3, title: 'Jam' }]));
+    const [tea, cake, jam] = container.firstChild.childNodes;
+
+    patch(container, todoList([{ id: 3, title: 'Jam' }, { id: 4, title: 'Milk' }, { id: 1, title: 'Green tea' }]));
+
+    const items = container.firstChild.childNodes;
+    expect(items[0]).toBe(jam);
+    expect(items[2]).toBe(tea);
+    expect(items).not.toContain(cake);
+    expect(cake.parentNode).toBe(null);
+    expect(serialize(container)).toBe('<div><ul class="todos"><li key="3">Jam</li><li key="4">Milk</li><li key="1">Green tea</li></ul></div>');
+  });
+
+  it('creates nodes whose tag, key or type changed', () => {
+    const container = createContainer();
+    patch(container, ['p: "One"', 'li key=a: "A"', 'Text', { '!--': ' note ' }]);
+    const [p, li, text, comment] = container.childNodes;
+
+    patch(container, ['div: "One"', 'li key=b: "A"', 'span: "Text"', { '!--': ' changed ' }]);
+
+    const nodes = container.childNodes;
+    expect([nodes[0], nodes[1], nodes[2]]).not.toContain(p);
+    expect(nodes[1]).not.toBe(li);
+    expect(nodes[2]).not.toBe(text);
+    expect(nodes[3]).toBe(comment);
+    expect(serialize(container)).toBe('<div><div>One</div><li key="b">A</li><span>Text</span><!-- changed --></div>');
+  });
+
+  it('replaces changed event handlers and sets changed properties', () => {
+    const container = createContainer();
+    const save = () => {};
+    const send = () => {};
+    patch(container, ['input :value=name:', 'button @click=action: "Save"'], { handlers: { name: 'Ada', action: save } });
+    const [input, button] = container.childNodes;
+    input.value = 'Ada Lovelace';
+
+    patch(container, ['input :value=name:', 'button @click=action: "Send"'], { handlers: { name: 'Ada', action: send } });
+    expect(input.value).toBe('Ada Lovelace');
+    expect(button.listeners).toEqual([{ type: 'click', listener: send }]);
+
+    patch(container, ['input :value=name:', 'button: "Send"'], { handlers: { name: 'Grace' } });
+    expect(input.value).toBe('Grace');
+    expect(button.listeners).toEqual([]);
+  });
+
+  it('removes attributes and children that are no longer rendered', () => {
+    const container = createContainer();
+    patch(container, [{ 'nav#menu.open aria-expanded=true': ['a href=/: "Home"', 'a href=/about: "About"'] }]);
+    const nav = container.firstChild;
+
+    patch(container, [{ nav: ['a href=/: "Home"'] }]);
+
+    expect(container.firstChild).toBe(nav);
+    expect(serialize(container)).toBe('<div><nav><a href="/">Home</a></nav></div>');
+  });
+
+  it('renders templates and keeps foreign content in its namespace', () => {
+    const container = createDocument().createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const content = [{ '$for point in points': ['circle key=${point.id} r=${point.r}:'] }];
+    patch(container, content, { data: { points: [{ id: 'a', r: 1 }, { id: 'b', r: 2 }] } });
+    const [a] = container.childNodes;
+
+    patch(container, content, { data: { points: [{ id: 'b', r: 3 }, { id: 'a', r: 1 }] } });
+
+    expect(container.childNodes[1]).toBe(a);
+    expect(serialize(container)).toBe('<svg {http://www.w3.org/2000/svg}><circle {http://www.w3.org/2000/svg} key="b" r="3"></circle><circle {http://www.w3.org/2000/svg} key="a" r="1"></circle></svg>');
+  });
+
+  it('throws without a container or for content that is not an array', () => {
+    expect(() => patch(null, ['p: "Text"'])).toThrow('patch requires a container element to render into.');
+    expect(() => patch(createContainer(), 'p: "Text"')).toThrow('YAHTML content must be an array.');
+  });
+});
@@ -1,4 +1,4 @@
-import { convertToHtml } from '../src/yahtml.js';
+import { convertToHtml, renderTemplate, compile } from '../src/yahtml.js';
 
 // Helper to measure execution time
 function benchmark(name, fn, iterations = 1000) {
@@ -269,6 +269,49 @@ const edgeCases = [
 ];
 benchmark('Edge cases', () => convertToHtml(edgeCases), 10000);
 
+// Tests 11-13: Compiled against interpreted rendering
+function compareCompiled(name, template, data, iterations) {
+  const render = compile(template);
+  if (render(data) !== renderTemplate(template, data)) {
+    throw new Error(`Compiled output of "${name}" differs from renderTemplate`);
+  }
+
+  const interpreted = benchmark(`${name} (renderTemplate)`, () => renderTemplate(template, data), iterations);
+  const compiled = benchmark(`${name} (compiled)`, () => render(data), iterations);
+  console.log(`  Compiled is ${(interpreted / compiled).toFixed(1)}x faster\n`);
+}
+
+console.log('TEST 11: Compiled Static Page');
+console.log('------------------------------------------');
+compareCompiled('Real-world page', realWorldPage, {}, 2000);
+
+console.log('TEST 12: Compiled Product List (50 products)');
+console.log('------------------------------------------');
+const productList = [
+  'h1: "${title}"',
+  { 'ul.products': [
+    { '$for product, i in products': [
+      { 'li.product data-index=${i}': [
+        'a href="/products/${product.id}": "${product.name}"',
+        'span.price: "${product.price} EUR"',
+        { '$if product.sale': ['em.sale: "On sale"'], $else: ['span: "Regular price"'] }
+      ] }
+    ] }
+  ] }
+];
+const products = Array.from({ length: 50 }, (_, i) => ({ id: i, name: `Product <${i}>`, price: i * 3, sale: i % 3 === 0 }));
+compareCompiled('Product list', productList, { title: 'Catalog', products }, 1000);
+
+console.log('TEST 13: Compiled Large Table (50x10)');
+console.log('------------------------------------------');
+const tableTemplate = [
+  { table: [
+    { tbody: [{ '$for row in rows': [{ tr: [{ '$for cell in row': ['td: "${cell}"'] }] }] }] }
+  ] }
+];
+const rows = Array.from({ length: 50 }, (_, i) => Array.from({ length: 10 }, (_, j) => `Cell ${i}-${j}`));
+compareCompiled('50x10 table', tableTemplate, { rows }, 100);
+
 // Summary
 console.log('===========================================');
 console.log('Performance Test Complete');
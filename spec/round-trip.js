@@ -0,0 +1,19 @@
+/**
+ * Helpers for checking stringify output in specs.
+ */
+import yaml from 'js-yaml';
+import { convertToHtml } from '../src/yahtml.js';
+import { stringify } from '../src/stringify.js';
+
+/**
+ * Stringify YAHTML content, load the text again and convert it to HTML
+ * @param {Array} content - The YAHTML content
+ * @param {Object} [options] - Options for convertToHtml
+ * @returns {{html: string, stable: boolean}} The HTML of the loaded content, and whether
+ *   stringifying the loaded content gives the same text again
+ */
+export function roundTrip(content, options) {
+  const source = stringify(content);
+  const loaded = yaml.load(source);
+  return { html: convertToHtml(loaded, options), stable: stringify(loaded) === source };
+}
@@ -0,0 +1,20 @@
+/**
+ * Helpers for comparing the errors of convertYamlToHtml in specs.
+ */
+import { convertYamlToHtml } from '../src/yaml.js';
+
+/**
+ * Convert YAHTML source text and describe the error it throws
+ * @param {string} sourceText - The YAHTML source text
+ * @param {Object} [options] - Options for convertYamlToHtml
+ * @returns {{name: string, message: string, filename: string, line: number, column: number, frame: string, cause: string}|null} The error fields, or null if nothing was thrown
+ */
+export function describeSourceError(sourceText, options) {
+  try {
+    convertYamlToHtml(sourceText, options);
+    return null;
+  } catch (error) {
+    const { name, message, filename, line, column, frame, cause } = error;
+    return { name, message, filename, line, column, frame, cause: cause.message };
+  }
+}
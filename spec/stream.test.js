@@ -0,0 +1,108 @@
+/**
+ * Streaming renderer specs: the chunks of renderToIterable and renderToStream
+ * join to the HTML of convertToHtml.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { renderToIterable, renderToStream } from '../src/stream.js';
+import { convertToHtml } from '../src/yahtml.js';
+
+const later = (value) => new Promise(resolve => setTimeout(() => resolve(value), 1));
+
+async function collect(yahtmlContent, options) {
+  const chunks = [];
+  for await (const chunk of renderToIterable(yahtmlContent, options)) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+const page = [
+  '!DOCTYPE html:',
+  { 'html lang=en': [
+    { head: ['title: "Catalog"', { script: 'if (a < b && c) {}' }] },
+    { body: [
+      { 'ul.products': ['li: "One"', { li: { class: 'sale', children: ['em: "Two"'] } }] },
+      'br:',
+      { div: [] },
+      { svg: [{ g: ['circle r=1:'] }, 'use xlink:href=#icon:'] },
+      { '!--': ' footer ' },
+      { form: { action: '/search', children: ['input name=q required:'] } },
+      'Fish & Chips'
+    ] }
+  ] }
+];
+
+describe('renderToIterable', () => {
+  for (const options of [{}, { mode: 'xhtml' }, { sanitize: true }, { bindings: 'data' }]) {
+    it(`matches convertToHtml with ${JSON.stringify(options)}`, async () => {
+      expect((await collect(page, options)).join('')).toBe(convertToHtml(page, options));
+    });
+  }
+
+  it('awaits promises and reads async iterables', async () => {
+    async function* items() {
+      yield 'li: "First"';
+      yield later({ li: ['Second'] });
+    }
+    const html = (await collect([
+      { ul: items() },
+      { p: later('Note: text') },
+      { div: later(['span: "Later"']) },
+      later('h1: "Title"'),
+      { section: { class: 'card', children: later(['p: "Body"']) } },
+      { svg: [later('circle r=2:')] }
+    ])).join('');
+
+    expect(html).toBe('<ul><li>First</li><li>Second</li></ul><p>Note: text</p><div><span>Later</span></div>' +
+      '<h1>Title</h1><section class="card"><p>Body</p></section><svg><circle r="2"/></svg>');
+  });
+
+  it('emits the HTML collected so far before waiting', async () => {
+    const chunks = await collect([{ main: ['h1: "Products"', later('p: "Loaded"')] }]);
+    expect(chunks).toEqual(['<main><h1>Products</h1>', '<p>Loaded</p></main>']);
+  });
+
+  it('emits large documents in several chunks', async () => {
+    const rows = Array.from({ length: 2000 }, (_, i) => `li: "Product ${i}"`);
+    const chunks = await collect([{ ul: rows }]);
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('')).toBe(convertToHtml([{ ul: rows }]));
+  });
+
+  it('throws for options that need the whole tree', () => {
+    expect(() => renderToIterable(['p: "Text"'], { pretty: true }))
+      .toThrow('The "pretty" option needs the whole tree and cannot be used when streaming. Use convertToHtml instead.');
+    expect(() => renderToIterable(['p: "Text"'], { sourceMap: true }))
+      .toThrow('The "sourceMap" option needs the whole tree and cannot be used when streaming. Use convertToHtml instead.');
+    expect(() => renderToIterable(['p: "${name}"'], { data: { name: 'Ada' } }))
+      .toThrow('The "data" option cannot be used when streaming.');
+    expect(() => renderToIterable('p: "Text"')).toThrow('YAHTML content must be an array.');
+  });
+
+  it('rejects for malformed elements found mid-stream', async () => {
+    await expect(collect([{ div: [later("a href='/home: Home")] }]))
+      .rejects.toThrow('unterminated quoted value for attribute "href"');
+  });
+});
+
+describe('renderToStream', () => {
+  it('streams UTF-8 bytes equal to convertToHtml', async () => {
+    const content = [...page, 'p: "Crème brûlée – 5 €"'];
+    expect(await new Response(renderToStream(content)).text()).toBe(convertToHtml(content));
+  });
+
+  it('errors the stream when rendering fails', async () => {
+    await expect(new Response(renderToStream([later({ '!--': 'a --> b' })])).text())
+      .rejects.toThrow('Malformed YAHTML comment');
+  });
+
+  it('throws without a global ReadableStream', () => {
+    vi.stubGlobal('ReadableStream', undefined);
+    try {
+      expect(() => renderToStream(['p: "Text"']))
+        .toThrow(new TypeError('renderToStream needs the global ReadableStream of Node 18 or later. Use Readable.from(renderToIterable(content)) instead.'));
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
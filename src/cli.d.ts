@@ -0,0 +1,8 @@
+/**
+ * Run the command-line tool
+ *
+ * @param {string[]} args - Command-line arguments (without the node and script paths)
+ * @returns {Promise<number>} The exit code: 0 on success, 1 when a file fails to compile or cannot be written, 2 for usage errors.
+ *   In watch mode the promise resolves after the first build and the process keeps running
+ */
+export function run(args: string[]): Promise<number>;
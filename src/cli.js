@@ -0,0 +1,416 @@
+import fs from 'fs';
+import path from 'path';
+import { convertYamlToHtml, YahtmlSourceError } from './yaml.js';
+
+/**
+ * File extensions read from input directories
+ * @private
+ * @constant {string[]}
+ */
+const INPUT_EXTENSIONS = ['.yahtml', '.yaml', '.yml'];
+
+/**
+ * Delay before rebuilding in watch mode, so that one save triggers one rebuild
+ * @private
+ * @constant {number}
+ */
+const WATCH_DEBOUNCE_MS = 50;
+
+const USAGE = `Usage: yahtml [options] [files or directories...]
+
+Compile YAHTML (.yahtml, .yaml, .yml) files to HTML. Reads stdin when no
+input is given or the input is "-". Directories are searched recursively.
+
+Options:
+  -o, --out-dir <dir>  Write one .html file per input to <dir>, mirroring the input tree
+                       (default: write to stdout)
+  -p, --pretty         Put block elements on their own indented lines
+  -w, --watch          Rebuild when an input file changes
+  -h, --help           Show this help
+  -v, --version        Show the version
+`;
+
+/**
+ * Run the command-line tool
+ *
+ * @param {string[]} args - Command-line arguments (without the node and script paths)
+ * @returns {Promise<number>} The exit code: 0 on success, 1 when a file fails to compile or cannot be written, 2 for usage errors.
+ *   In watch mode the promise resolves after the first build and the process keeps running
+ *
+ * @example
+ * // yahtml pages --out-dir dist --pretty
+ * process.exitCode = await run(['pages', '--out-dir', 'dist', '--pretty']);
+ */
+export async function run(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    process.stderr.write(`yahtml: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (options.version) {
+    const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+    process.stdout.write(`${pkg.version}\n`);
+    return 0;
+  }
+
+  if (options.inputs.length === 0 || options.inputs.includes('-')) {
+    if (options.inputs.length > 1) {
+      process.stderr.write('yahtml: stdin ("-") cannot be combined with other inputs\n');
+      return 2;
+    }
+    if (options.watch) {
+      process.stderr.write('yahtml: --watch needs input files\n');
+      return 2;
+    }
+    return buildStdin(options);
+  }
+
+  const missing = options.inputs.find(input => !fs.existsSync(input));
+  if (missing) {
+    process.stderr.write(`yahtml: ${missing}: no such file or directory\n`);
+    return 2;
+  }
+
+  const failed = buildFiles(options, collectFiles(options.inputs));
+  if (options.watch) {
+    watch(options);
+    return 0;
+  }
+  return failed ? 1 : 0;
+}
+
+/**
+ * Parse command-line arguments
+ *
+ * @private
+ * @param {string[]} args - Command-line arguments
+ * @returns {{inputs: string[], outDir: string|null, pretty: boolean, watch: boolean, help: boolean, version: boolean}} The options
+ * @throws {Error} If an option is unknown or is missing its value
+ */
+function parseArgs(args) {
+  const options = { inputs: [], outDir: null, pretty: false, watch: false, help: false, version: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-o':
+      case '--out-dir':
+        if (i + 1 >= args.length) {
+          throw new Error(`${arg} needs a directory`);
+        }
+        options.outDir = args[++i];
+        break;
+      case '-p':
+      case '--pretty':
+        options.pretty = true;
+        break;
+      case '-w':
+      case '--watch':
+        options.watch = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      case '-v':
+      case '--version':
+        options.version = true;
+        break;
+      default:
+        if (arg.startsWith('--out-dir=')) {
+          options.outDir = arg.substring('--out-dir='.length);
+        } else if (arg.startsWith('-') && arg !== '-') {
+          throw new Error(`unknown option ${arg}`);
+        } else {
+          options.inputs.push(arg);
+        }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Compile YAML read from stdin and write the HTML to stdout
+ *
+ * @private
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<number>} The exit code
+ */
+async function buildStdin(options) {
+  let source = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) {
+    source += chunk;
+  }
+
+  try {
+    process.stdout.write(convertYamlToHtml(source, { filename: '<stdin>', pretty: options.pretty }) + '\n');
+    return 0;
+  } catch (error) {
+    reportError(error);
+    return 1;
+  }
+}
+
+/**
+ * Compile input files and write them to stdout or the output directory
+ *
+ * @private
+ * @param {Object} options - Parsed command-line options
+ * @param {Array<{file: string, relative: string}>} files - The files to compile
+ * @returns {boolean} True if any file failed to compile or could not be written
+ */
+function buildFiles(options, files) {
+  let failed = false;
+
+  for (const { file, relative } of files) {
+    let html;
+    try {
+      html = convertYamlToHtml(fs.readFileSync(file, 'utf8'), { filename: file, pretty: options.pretty });
+    } catch (error) {
+      reportError(error);
+      failed = true;
+      continue;
+    }
+
+    if (options.outDir) {
+      const target = path.join(options.outDir, relative.replace(/\.[^./\\]+$/, '') + '.html');
+      try {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, html + '\n');
+      } catch (error) {
+        // e.g. EACCES, or a file where the output directory should be
+        reportError(error);
+        failed = true;
+      }
+    } else {
+      process.stdout.write(html + '\n');
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Print a compile error with its code frame, or another error as a `yahtml:` message
+ *
+ * @private
+ * @param {Error} error - The error thrown by convertYamlToHtml or the file system
+ */
+function reportError(error) {
+  if (error instanceof YahtmlSourceError) {
+    process.stderr.write(`${error.message}\n${error.frame}\n\n`);
+  } else {
+    process.stderr.write(`yahtml: ${error.message}\n`);
+  }
+}
+
+/**
+ * List the files to compile, with their paths relative to the common input directory
+ *
+ * @private
+ * @param {string[]} inputs - Input files and directories
+ * @returns {Array<{file: string, relative: string}>} The files in input order, directories sorted by path
+ *
+ * @description
+ * Output paths mirror the input tree below the deepest directory that holds
+ * every input: `yahtml pages -o dist` writes `pages/blog/post.yaml` to
+ * `dist/blog/post.html`.
+ */
+function collectFiles(inputs) {
+  if (inputs.length === 0) {
+    return [];
+  }
+
+  const files = [];
+  const roots = [];
+
+  for (const input of inputs) {
+    if (fs.statSync(input).isDirectory()) {
+      roots.push(path.resolve(input));
+      files.push(...listDirectory(input));
+    } else {
+      roots.push(path.resolve(path.dirname(input)));
+      files.push(input);
+    }
+  }
+
+  const base = roots.reduce(commonDirectory);
+  return files.map(file => ({ file, relative: path.relative(base, path.resolve(file)) }));
+}
+
+/**
+ * List the input files in a directory and its subdirectories
+ *
+ * @private
+ * @param {string} directory - The directory
+ * @returns {string[]} File paths sorted by name
+ */
+function listDirectory(directory) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listDirectory(entryPath));
+    } else if (INPUT_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(entryPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Get the deepest directory that contains two absolute directories
+ *
+ * @private
+ * @param {string} a - An absolute directory
+ * @param {string} b - An absolute directory
+ * @returns {string} The common directory
+ */
+function commonDirectory(a, b) {
+  while (path.relative(a, b).startsWith('..')) {
+    a = path.dirname(a);
+  }
+  return a;
+}
+
+/**
+ * Watch the inputs and rebuild the files that change
+ *
+ * @private
+ * @param {Object} options - Parsed command-line options
+ *
+ * @description
+ * Only directories are watched: the directory of each input file, and each input
+ * directory with its subdirectories (recursive watching is not available on every
+ * platform). A watcher on a file would stay attached to the replaced file after an
+ * editor saves by writing a new file and renaming it over the old one. Each change
+ * rescans the inputs and rebuilds the files whose inode, size or modification time
+ * changed, so new files and subdirectories are picked up.
+ */
+function watch(options) {
+  const watchers = new Map();
+  const versions = new Map();
+  let targets = new Map();
+  let timer = null;
+
+  // Files to compile that changed since the last call. A file saved by renaming a new
+  // file over it has a new inode even when its time and size look unchanged
+  const changedFiles = () => collectFiles(options.inputs.filter(input => fs.existsSync(input))).filter(({ file }) => {
+    if (!fs.existsSync(file)) {
+      return false;
+    }
+    const { ino, size, mtimeMs } = fs.statSync(file);
+    const version = `${ino}:${size}:${mtimeMs}`;
+    if (version === versions.get(file)) {
+      return false;
+    }
+    versions.set(file, version);
+    return true;
+  });
+
+  const rebuild = () => {
+    timer = null;
+    const changed = changedFiles();
+    if (changed.length > 0) {
+      buildFiles(options, changed);
+      process.stderr.write(`yahtml: rebuilt ${changed.map(({ file }) => file).join(', ')}\n`);
+    }
+    updateWatchers();
+  };
+
+  const schedule = () => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+  };
+
+  const updateWatchers = () => {
+    targets = watchTargets(options.inputs);
+    for (const [directory, watcher] of watchers) {
+      if (!targets.has(directory) || !fs.existsSync(directory)) {
+        watcher.close();
+        watchers.delete(directory);
+      }
+    }
+    for (const directory of targets.keys()) {
+      if (watchers.has(directory) || !fs.existsSync(directory)) continue;
+      const watcher = fs.watch(directory, (eventType, filename) => {
+        const names = targets.get(directory);
+        if (!names || !filename || names.has(String(filename))) {
+          schedule();
+        }
+      });
+      // A watcher fails when its directory goes away; the next rebuild watches it again if it comes back
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(directory);
+        schedule();
+      });
+      watchers.set(directory, watcher);
+    }
+  };
+
+  changedFiles();
+  updateWatchers();
+  process.stderr.write(`yahtml: watching ${options.inputs.join(', ')}\n`);
+}
+
+/**
+ * List the directories to watch for a list of inputs
+ *
+ * @private
+ * @param {string[]} inputs - Input files and directories
+ * @returns {Map<string, Set<string>|null>} The absolute directories, each with the names of the
+ *   input files in it, or null when every change in the directory counts
+ *
+ * @description
+ * An input that does not exist is watched through its parent directory, so it is
+ * built again when it comes back.
+ */
+function watchTargets(inputs) {
+  const targets = new Map();
+
+  for (const input of inputs) {
+    if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      for (const directory of listDirectories(input)) {
+        targets.set(path.resolve(directory), null);
+      }
+    } else {
+      const directory = path.resolve(path.dirname(input));
+      const names = targets.has(directory) ? targets.get(directory) : new Set();
+      if (names) {
+        names.add(path.basename(input));
+      }
+      targets.set(directory, names);
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * List a directory and all of its subdirectories
+ *
+ * @private
+ * @param {string} directory - The directory
+ * @returns {string[]} The directory paths
+ */
+function listDirectories(directory) {
+  const directories = [directory];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      directories.push(...listDirectories(path.join(directory, entry.name)));
+    }
+  }
+  return directories;
+}
@@ -0,0 +1,29 @@
+import type { YahtmlNode } from "./yahtml.js";
+/**
+ * Replace component elements in a parsed node tree with the YAHTML they render
+ *
+ * @param {Array<Object>} ast - The nodes returned by parse
+ * @param {Object<string, Function|Array>} components - Component name to a function `(props, slots) => yahtml`,
+ *   or to a YAHTML array used as a template
+ * @returns {Array<Object>} New nodes with every component expanded; the input nodes are not changed
+ * @throws {TypeError} If components is not a map of functions and YAHTML arrays
+ * @throws {Error} If a component renders itself, directly or through other components, or returns malformed content
+ *
+ * @example
+ * const components = {
+ *   Card: (props, slots) => [{ 'article.card': [
+ *     { h2: props.title },
+ *     'slot:',
+ *     { footer: ['slot name=footer: "No actions"'] }
+ *   ] }]
+ * };
+ * render(expandComponents(parse([{ 'Card title="Hi"': ['p: "Body"'] }]), components))
+ * // Returns: '<article class="card"><h2>Hi</h2><p>Body</p><footer>No actions</footer></article>'
+ */
+export function expandComponents(ast: YahtmlNode[], components: ComponentRegistry): YahtmlNode[];
+/** Slot name to the parsed slot content; `default` holds the children without a `slot` attribute */
+export type ComponentSlots = Record<string, YahtmlNode[]> & { default: YahtmlNode[] };
+/** Renders YAHTML from the resolved attributes of the component element and its slot content */
+export type ComponentFunction = (props: Record<string, string | true>, slots: ComponentSlots) => any;
+/** Component name to a function, or to a YAHTML array used as a template */
+export type ComponentRegistry = Record<string, ComponentFunction | any[]>;
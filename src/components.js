@@ -0,0 +1,223 @@
+import { parse, resolveAttributes } from './yahtml.js';
+
+/**
+ * Replace component elements in a parsed node tree with the YAHTML they render
+ *
+ * @param {Array<Object>} ast - The nodes returned by parse
+ * @param {Object<string, Function|Array>} components - Component name to a function `(props, slots) => yahtml`,
+ *   or to a YAHTML array used as a template
+ * @returns {Array<Object>} New nodes with every component expanded; the input nodes are not changed
+ * @throws {TypeError} If components is not a map of functions and YAHTML arrays
+ * @throws {Error} If a component renders itself, directly or through other components, or returns malformed content.
+ *   The error has the `path` of the component element when the nodes have paths
+ *
+ * @description
+ * An element whose tag is a registered name (e.g. `Card title="Hi"`) is a component.
+ * Its children are its slot content:
+ * - Children with a `slot=name` attribute go to that named slot, without the attribute
+ * - All other children go to the `default` slot
+ *
+ * A function component is called with:
+ * - `props`: the resolved attributes of the element, including `id` and `class` from the shorthand
+ * - `slots`: a map of slot name to the parsed slot nodes, with `default` always present
+ *
+ * It returns YAHTML: an array, or a single item. A template component is that YAHTML
+ * itself, and when it has a single root element, the component element's id, classes
+ * and attributes are added to it (classes are appended; other attributes replace the template's).
+ *
+ * In the returned YAHTML, `slot:` is replaced with the default slot content and
+ * `slot name=header:` with the `header` slot content. The children of a `slot`
+ * element are its fallback content, used when the slot is empty.
+ *
+ * Slot content is expanded where it is written, so a component may be passed
+ * its own kind as slot content (a `Card` in a `Card`), but may not render itself.
+ *
+ * convertToHtml, renderToDom, toHyperscript and validate run this right after parsing with the `components` option.
+ *
+ * @example
+ * const components = {
+ *   Card: (props, slots) => [{ 'article.card': [
+ *     { h2: props.title },
+ *     'slot:',
+ *     { footer: ['slot name=footer: "No actions"'] }
+ *   ] }]
+ * };
+ * render(expandComponents(parse([{ 'Card title="Hi"': ['p: "Body"'] }]), components))
+ * // Returns: '<article class="card"><h2>Hi</h2><p>Body</p><footer>No actions</footer></article>'
+ */
+export function expandComponents(ast, components) {
+  if (!components || typeof components !== 'object' || Array.isArray(components)) {
+    throw new TypeError('Components must be a map of component names to functions or YAHTML arrays.');
+  }
+  for (const [name, component] of Object.entries(components)) {
+    if (typeof component !== 'function' && !Array.isArray(component)) {
+      throw new TypeError(`Component "${name}" must be a function or a YAHTML array.`);
+    }
+  }
+
+  return expandNodes(ast, components, []);
+}
+
+/**
+ * Expand the components in sibling nodes
+ *
+ * @private
+ * @param {Array<Object>} nodes - The sibling nodes
+ * @param {Object<string, Function|Array>} components - The component registry
+ * @param {string[]} stack - Names of the components being rendered, outermost first
+ * @returns {Array<Object>} The expanded nodes
+ */
+function expandNodes(nodes, components, stack) {
+  const result = [];
+
+  for (const node of nodes) {
+    if (node.type !== 'element') {
+      result.push({ ...node });
+    } else if (Object.prototype.hasOwnProperty.call(components, node.tag)) {
+      result.push(...expandComponent(node, components, stack));
+    } else {
+      result.push({ ...node, children: expandNodes(node.children, components, stack) });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Render a component element
+ *
+ * @private
+ * @param {Object} node - The component element node
+ * @param {Object<string, Function|Array>} components - The component registry
+ * @param {string[]} stack - Names of the components being rendered, outermost first
+ * @returns {Array<Object>} The nodes rendered by the component, with their slots filled
+ * @throws {Error} If the component renders itself, or returns malformed content
+ */
+function expandComponent(node, components, stack) {
+  const name = node.tag;
+
+  try {
+    if (stack.includes(name)) {
+      const loop = [...stack.slice(stack.indexOf(name)), name].join(' > ');
+      throw new Error(`Component loop: ${loop} - a component cannot render itself, directly or through other components`);
+    }
+
+    // Slot content belongs to the caller, so it is expanded outside this component
+    const slots = collectSlots(node.children);
+    for (const slotName of Object.keys(slots)) {
+      slots[slotName] = expandNodes(slots[slotName], components, stack);
+    }
+
+    const component = components[name];
+    let nodes;
+    if (typeof component === 'function') {
+      const output = component(Object.fromEntries(resolveAttributes(node)), slots);
+      nodes = parse(Array.isArray(output) ? output : [output]);
+    } else {
+      nodes = passAttributes(parse(component), node);
+    }
+
+    nodes = expandNodes(nodes, components, [...stack, name]);
+    if (node.path) {
+      // Errors found in the rendered content point to the component element
+      nodes.forEach(rendered => { rendered.path = node.path; });
+    }
+    return fillSlots(nodes, slots);
+  } catch (error) {
+    // The innermost failing component sets the path
+    if (node.path && error.path === undefined) {
+      error.path = node.path;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sort the children of a component element into slots
+ *
+ * @private
+ * @param {Array<Object>} children - The children of the component element
+ * @returns {Object<string, Array<Object>>} Slot name to slot content, with `default` always present
+ */
+function collectSlots(children) {
+  const slots = { default: [] };
+
+  for (const child of children) {
+    const slotName = child.type === 'element' ? child.attributes.slot : undefined;
+    if (typeof slotName !== 'string' || !slotName) {
+      slots.default.push(child);
+      continue;
+    }
+    const { slot, ...attributes } = child.attributes;
+    (slots[slotName] = slots[slotName] || []).push({ ...child, attributes });
+  }
+
+  return slots;
+}
+
+/**
+ * Add the id, classes and attributes of a component element to the single root element of its template
+ *
+ * @private
+ * @param {Array<Object>} nodes - The parsed template
+ * @param {Object} component - The component element node
+ * @returns {Array<Object>} The template nodes
+ */
+function passAttributes(nodes, component) {
+  const elements = nodes.filter(node => node.type === 'element');
+  if (elements.length !== 1) {
+    return nodes;
+  }
+
+  const [root] = elements;
+  root.id = component.id || root.id;
+  root.classes = [...root.classes, ...component.classes];
+  for (const [name, value] of Object.entries(component.attributes)) {
+    if (name === 'class' && typeof root.attributes.class === 'string' && value !== true) {
+      root.attributes.class = `${root.attributes.class} ${value}`;
+    } else {
+      root.attributes[name] = value;
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Replace `slot` elements with slot content, or with their fallback children
+ *
+ * @private
+ * @param {Array<Object>} nodes - The nodes rendered by a component
+ * @param {Object<string, Array<Object>>} slots - Slot name to slot content
+ * @returns {Array<Object>} The nodes with their slots filled
+ */
+function fillSlots(nodes, slots) {
+  const result = [];
+
+  for (const node of nodes) {
+    if (node.type !== 'element') {
+      result.push(node);
+    } else if (node.tag === 'slot') {
+      const slotName = typeof node.attributes.name === 'string' && node.attributes.name ? node.attributes.name : 'default';
+      const content = slots[slotName] || [];
+      // Slot content is not searched for slots, as it belongs to the caller
+      result.push(...(content.length > 0 ? cloneNodes(content) : fillSlots(node.children, slots)));
+    } else {
+      result.push({ ...node, children: fillSlots(node.children, slots) });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Copy nodes, so slot content placed more than once is not shared
+ *
+ * @private
+ * @param {Array<Object>} nodes - The nodes
+ * @returns {Array<Object>} Deep copies of the nodes
+ */
+function cloneNodes(nodes) {
+  return nodes.map(node => node.type === 'element'
+    ? { ...node, classes: [...node.classes], attributes: { ...node.attributes }, children: cloneNodes(node.children) }
+    : { ...node });
+}
@@ -0,0 +1,36 @@
+import type { ConvertOptions, SourceMapResult } from "./yahtml.js";
+/**
+ * Render a complete HTML page from YAHTML fragments
+ *
+ * @param {Object} page - The page
+ * @param {Object} [options] - Conversion options; all convertToHtml options are supported
+ * @returns {string|{html: string, map: Array<Object>}} The HTML page, starting with the HTML5 doctype, or the page and its
+ *   source map with the sourceMap option. Map paths lead into the generated page content, so `body` items are at
+ *   `[1, 'html', 'children', 1, 'body', 'children', index]`
+ * @throws {TypeError} If page is not an object, head or body is not an array, or meta is not a map or list
+ * @throws {Error} If the content is malformed (see convertToHtml)
+ *
+ * @example
+ * renderDocument({ lang: 'en', title: 'Home', body: ['h1: "Welcome"'] })
+ * // Returns: '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+ * //   '<meta name="viewport" content="width=device-width, initial-scale=1"><title>Home</title>' +
+ * //   '</head><body><h1>Welcome</h1></body></html>'
+ */
+export function renderDocument(page: DocumentPage, options: ConvertOptions & { sourceMap: true }): SourceMapResult;
+export function renderDocument(page: DocumentPage, options?: ConvertOptions): string;
+export interface DocumentPage {
+    /** Language of the page, written as the `lang` attribute of `html` */
+    lang?: string;
+    /** Text of the `title` element */
+    title?: string;
+    /** Character encoding for `<meta charset>`; false to leave it out. Default: 'utf-8' */
+    charset?: string | false;
+    /** Content of the viewport meta tag; false to leave it out. Default: 'width=device-width, initial-scale=1' */
+    viewport?: string | false;
+    /** More meta tags: a map of `name` to `content`, or a list of attribute maps */
+    meta?: Record<string, string> | Array<Record<string, string>>;
+    /** YAHTML content added to `head` after the meta tags and title */
+    head?: any[];
+    /** YAHTML content of `body` */
+    body?: any[];
+}
@@ -0,0 +1,105 @@
+import { convertToHtml } from './yahtml.js';
+
+/**
+ * Viewport used by renderDocument unless another one is given
+ * @private
+ * @constant {string}
+ */
+const DEFAULT_VIEWPORT = 'width=device-width, initial-scale=1';
+
+/**
+ * Render a complete HTML page from YAHTML fragments
+ *
+ * @param {Object} page - The page
+ * @param {string} [page.lang] - Language of the page, written as the `lang` attribute of `html`
+ * @param {string} [page.title] - Text of the `title` element
+ * @param {string|false} [page.charset='utf-8'] - Character encoding for `<meta charset>`; false to leave it out
+ * @param {string|false} [page.viewport='width=device-width, initial-scale=1'] - Content of the viewport meta tag; false to leave it out
+ * @param {Object<string, string>|Array<Object<string, string>>} [page.meta] - More meta tags: a map of `name` to `content`,
+ *   or a list of attribute maps (e.g. `{ property: 'og:title', content: 'Home' }`)
+ * @param {Array} [page.head] - YAHTML content added to `head` after the meta tags and title
+ * @param {Array} [page.body] - YAHTML content of `body`
+ * @param {Object} [options] - Conversion options; all convertToHtml options are supported
+ * @returns {string|{html: string, map: Array<Object>}} The HTML page, starting with the HTML5 doctype, or the page and its
+ *   source map with the sourceMap option. Map paths lead into the generated page content, so `body` items are at
+ *   `[1, 'html', 'children', 1, 'body', 'children', index]`
+ * @throws {TypeError} If page is not an object, head or body is not an array, or meta is not a map or list
+ * @throws {Error} If the content is malformed (see convertToHtml)
+ *
+ * @description
+ * The head holds, in order: the charset, the viewport, the title, the `meta`
+ * tags and the `head` content. Title and meta values are text, so they are
+ * escaped and never read as element declarations.
+ *
+ * @example
+ * renderDocument({
+ *   lang: 'en',
+ *   title: 'Home',
+ *   meta: { description: 'My site' },
+ *   head: ['link rel=stylesheet href=/style.css:'],
+ *   body: ['h1: "Welcome"']
+ * })
+ * // Returns: '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8">' +
+ * //   '<meta name="viewport" content="width=device-width, initial-scale=1"><title>Home</title>' +
+ * //   '<meta name="description" content="My site"><link rel="stylesheet" href="/style.css">' +
+ * //   '</head><body><h1>Welcome</h1></body></html>'
+ */
+export function renderDocument(page, options = {}) {
+  if (!page || typeof page !== 'object' || Array.isArray(page)) {
+    throw new TypeError('renderDocument requires a page object such as { title, body }.');
+  }
+
+  const {
+    lang,
+    title,
+    charset = 'utf-8',
+    viewport = DEFAULT_VIEWPORT,
+    meta = {},
+    head = [],
+    body = []
+  } = page;
+
+  if (!Array.isArray(head) || !Array.isArray(body)) {
+    throw new TypeError('renderDocument head and body must be YAHTML arrays.');
+  }
+  if (!meta || typeof meta !== 'object') {
+    throw new TypeError('renderDocument meta must be a map of name to content, or a list of attribute maps.');
+  }
+
+  const metaTags = Array.isArray(meta)
+    ? meta
+    : Object.entries(meta).map(([name, content]) => ({ name, content }));
+
+  const headContent = [];
+  if (charset) {
+    headContent.push(element('meta', { charset }));
+  }
+  if (viewport) {
+    headContent.push(element('meta', { name: 'viewport', content: viewport }));
+  }
+  if (title !== undefined && title !== null) {
+    headContent.push(element('title', {}, String(title)));
+  }
+  headContent.push(...metaTags.map(attributes => element('meta', attributes)), ...head);
+
+  return convertToHtml([
+    '!DOCTYPE html:',
+    element('html', lang ? { lang } : {}, [
+      element('head', {}, headContent),
+      element('body', {}, body)
+    ])
+  ], options);
+}
+
+/**
+ * Build an element in object notation, so attribute values and text are never parsed
+ *
+ * @private
+ * @param {string} tag - The element tag
+ * @param {Object<string, string>} attributes - The attributes
+ * @param {Array|string} [children=[]] - YAHTML children, or text
+ * @returns {Object} The YAHTML element
+ */
+function element(tag, attributes, children = []) {
+  return { [tag]: { ...attributes, children } };
+}
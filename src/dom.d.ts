@@ -0,0 +1,57 @@
+import type { SanitizePolicy } from './sanitize.js';
+import type { TemplateData, YahtmlPlugin } from './yahtml.js';
+import type { ComponentRegistry } from './components.js';
+/**
+ * Render YAHTML content to DOM nodes
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Rendering options
+ * @param {Document} [options.document] - The document used to create nodes (defaults to the global document)
+ * @param {Object<string, Function|Array>} [options.components] - Components expanded right after parsing (see expandComponents)
+ * @param {Array<Function|Object>} [options.plugins] - Plugins that transform the parsed elements before they are rendered (see transform)
+ * @param {boolean|Object} [options.sanitize=false] - Remove the elements, attributes and URLs that a policy does not allow, after plugins run (see sanitize)
+ * @returns {DocumentFragment} A fragment holding the rendered nodes
+ * @throws {TypeError} If yahtmlContent is not an array or no document is available
+ * @throws {Error} If element structure is malformed
+ *
+ * @example
+ * const fragment = renderToDom([
+ *   { 'ul.menu': ['li: "Home"', 'li: "About"'] }
+ * ]);
+ * fragment.querySelector('li').addEventListener('click', onClick);
+ * document.body.appendChild(fragment);
+ */
+export function renderToDom(yahtmlContent: any[], options?: DomRenderOptions): any;
+/**
+ * Update the DOM content of a container to match YAHTML content
+ *
+ * @param {Element|DocumentFragment} container - The node whose children are updated
+ * @param {Array} yahtmlContent - The new YAHTML content as an array
+ * @param {Object} [options] - Rendering options; the same as renderToDom
+ * @param {Document} [options.document] - The document used to create nodes (defaults to the document of the container)
+ * @returns {Element|DocumentFragment} The container
+ * @throws {TypeError} If the container is not a DOM node, yahtmlContent is not an array or no document is available
+ * @throws {Error} If element structure is malformed, or a binding references a missing handler
+ *
+ * @example
+ * const view = todos => [{ ul: todos.map(todo => ({ li: { key: todo.id, children: todo.title } })) }];
+ *
+ * patch(list, view(todos));
+ * // Later: only the changed items are updated, and moved items keep their nodes
+ * patch(list, view(reorderedTodos));
+ */
+export function patch<T>(container: T, yahtmlContent: any[], options?: DomRenderOptions): T;
+export interface DomRenderOptions {
+    /** The document used to create nodes (defaults to the global document) */
+    document?: any;
+    /** Components expanded right after parsing, before plugins run (see expandComponents) */
+    components?: ComponentRegistry;
+    /** Template variables for `${...}`, `$if` and `$for` (see renderTemplate) */
+    data?: TemplateData;
+    /** Plugins that transform the parsed elements before they are rendered */
+    plugins?: YahtmlPlugin[];
+    /** Remove the elements, attributes and URLs that a policy does not allow, after plugins run */
+    sanitize?: boolean | SanitizePolicy;
+    /** Functions and values referenced by `@event` and `:prop` bindings */
+    handlers?: Record<string, any>;
+}
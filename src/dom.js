@@ -0,0 +1,473 @@
+import { parse, transform, resolveAttributes, resolveBindings, resolveNamespace, NAMESPACES, SELF_CLOSING_TAGS } from './yahtml.js';
+import { sanitize } from './sanitize.js';
+import { expandComponents } from './components.js';
+
+/**
+ * Attribute prefixes that place an attribute in a namespace on foreign elements
+ * @private
+ * @constant {string[]}
+ */
+const NAMESPACED_ATTRIBUTE_PREFIXES = ['xlink', 'xml', 'xmlns'];
+
+/**
+ * Elements whose raw content is text rather than markup
+ * @private
+ * @constant {string[]}
+ */
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+/**
+ * Nodes that patch rendered into each container, compared against on the next patch
+ * @private
+ * @constant {WeakMap<Node, Array<Object>>}
+ */
+const RENDERED = new WeakMap();
+
+/**
+ * Render YAHTML content to DOM nodes
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Rendering options
+ * @param {Document} [options.document] - The document used to create nodes (defaults to the global document)
+ * @param {Object} [options.data] - Template variables for `${...}`, `$if` and `$for` (see renderTemplate)
+ * @param {Object<string, Function|Array>} [options.components] - Components expanded right after parsing (see expandComponents)
+ * @param {Array<Function|Object>} [options.plugins] - Plugins that transform the parsed elements before they are rendered (see transform)
+ * @param {boolean|Object} [options.sanitize=false] - Remove the elements, attributes and URLs that a policy does not allow, after plugins run (see sanitize)
+ * @param {Object} [options.handlers] - Functions and values referenced by `@event` and `:prop` bindings
+ * @returns {DocumentFragment} A fragment holding the rendered nodes
+ * @throws {TypeError} If yahtmlContent is not an array or no document is available
+ * @throws {Error} If element structure is malformed, or a binding references a missing handler
+ *
+ * @description
+ * Builds real nodes with `createElement`, `setAttribute` and `createTextNode`
+ * instead of assigning an HTML string to `innerHTML`, so the nodes can be
+ * given event listeners before they are inserted. Keys are parsed with the same
+ * grammar as convertToHtml. Doctype nodes are skipped, as a fragment cannot hold them.
+ * Comments become comment nodes, and trusted HTML from `!raw` is parsed with a
+ * `template` element.
+ *
+ * Elements inside `svg` and `math` are created with `createElementNS` in the SVG
+ * and MathML namespaces, and their `xlink:`, `xml:` and `xmlns` attributes are set
+ * with `setAttributeNS`.
+ *
+ * Bindings in keys become listeners and properties: `@click=save` adds
+ * `handlers.save` as a click listener, `:value=name` sets the `value` property
+ * to `handlers.name`, and `.value=text` sets it to the literal text.
+ *
+ * @example
+ * const fragment = renderToDom([
+ *   { 'ul.menu': ['li: "Home"', 'li: "About"'] }
+ * ]);
+ * fragment.querySelector('li').addEventListener('click', onClick);
+ * document.body.appendChild(fragment);
+ *
+ * @example
+ * // Event and property bindings
+ * renderToDom(['button @click=save .disabled: "Save"'], { handlers: { save } })
+ *
+ * @example
+ * // With an injected document (e.g. from a DOM implementation on Node)
+ * renderToDom(['p: "Hello"'], { document: window.document })
+ */
+export function renderToDom(yahtmlContent, options = {}) {
+  const doc = options.document || globalThis.document;
+  if (!doc) {
+    throw new TypeError('renderToDom requires a document. Pass one with the "document" option when there is no global document.');
+  }
+
+  const ast = parseForDom(yahtmlContent, options);
+  const fragment = doc.createDocumentFragment();
+  appendEntries(fragment, ast, doc, options.handlers, null);
+
+  return fragment;
+}
+
+/**
+ * Update the DOM content of a container to match YAHTML content
+ *
+ * @param {Element|DocumentFragment} container - The node whose children are updated
+ * @param {Array} yahtmlContent - The new YAHTML content as an array
+ * @param {Object} [options] - Rendering options; the same as renderToDom
+ * @param {Document} [options.document] - The document used to create nodes (defaults to the document of the container)
+ * @param {Object} [options.data] - Template variables for `${...}`, `$if` and `$for` (see renderTemplate)
+ * @param {Object<string, Function|Array>} [options.components] - Components expanded right after parsing (see expandComponents)
+ * @param {Array<Function|Object>} [options.plugins] - Plugins that transform the parsed elements before they are rendered (see transform)
+ * @param {boolean|Object} [options.sanitize=false] - Remove the elements, attributes and URLs that a policy does not allow, after plugins run (see sanitize)
+ * @param {Object} [options.handlers] - Functions and values referenced by `@event` and `:prop` bindings
+ * @returns {Element|DocumentFragment} The container
+ * @throws {TypeError} If the container is not a DOM node, yahtmlContent is not an array or no document is available
+ * @throws {Error} If element structure is malformed, or a binding references a missing handler
+ *
+ * @description
+ * The new content is compared with the content the previous patch of the container
+ * rendered, and only the differences are applied, so elements keep their focus,
+ * scroll position and input state:
+ * - An element with the same tag as the element in its place is kept. Its changed
+ *   attributes are set or removed, and its children are patched in turn
+ * - Text and comments with changed text are updated
+ * - Other nodes are created, and nodes that are no longer rendered are removed
+ *
+ * Siblings with a `key` attribute are matched by key instead of position, so
+ * reordered list items are moved rather than created again. Keys are read from
+ * element keys and object notation like any other attribute (`li key=${item.id}:`),
+ * and are written to the DOM too.
+ *
+ * Event bindings whose handler changed are replaced. Property bindings are only
+ * set when their value changed, so a bound `value` does not overwrite what the
+ * user typed until the bound value changes.
+ *
+ * The first patch of a container replaces its children. Trusted HTML from `!raw`
+ * is created again whenever its markup changes.
+ *
+ * @example
+ * const list = document.querySelector('#todos');
+ * const view = todos => [{ ul: todos.map(todo => ({ li: { key: todo.id, children: todo.title } })) }];
+ *
+ * patch(list, view(todos));
+ * // Later: only the changed items are updated, and moved items keep their nodes
+ * patch(list, view(reorderedTodos));
+ */
+export function patch(container, yahtmlContent, options = {}) {
+  if (!container || typeof container.insertBefore !== 'function') {
+    throw new TypeError('patch requires a container element to render into.');
+  }
+
+  const doc = options.document || container.ownerDocument || globalThis.document;
+  if (!doc) {
+    throw new TypeError('patch requires a document. Pass one with the "document" option when there is no global document.');
+  }
+
+  const ast = parseForDom(yahtmlContent, options);
+  let previous = RENDERED.get(container);
+  if (!previous) {
+    // Content that patch did not render cannot be compared
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+    previous = [];
+  }
+
+  const context = container.localName
+    ? { tag: container.localName, namespace: container.namespaceURI || NAMESPACES.html }
+    : null;
+  RENDERED.set(container, patchEntries(container, previous, ast, doc, options.handlers, context));
+
+  return container;
+}
+
+/**
+ * Parse YAHTML content for the DOM renderers: expand components, then run plugins and the sanitizer
+ *
+ * @private
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} options - Rendering options
+ * @returns {Array<Object>} The parsed nodes
+ */
+function parseForDom(yahtmlContent, options) {
+  let ast = parse(yahtmlContent, { data: options.data });
+  if (options.components) {
+    ast = expandComponents(ast, options.components);
+  }
+  if (options.plugins) {
+    ast = transform(ast, options.plugins);
+  }
+  if (options.sanitize) {
+    ast = sanitize(ast, options.sanitize);
+  }
+  return ast;
+}
+
+/**
+ * Create DOM nodes for parsed nodes and append them to a parent
+ *
+ * @private
+ * @param {Node} parent - The DOM node to append to
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Document} doc - The document used to create nodes
+ * @param {Object} [handlers] - Functions and values referenced by bindings
+ * @param {{tag: string, namespace: string}|null} context - The parent element tag and namespace, or null at the root
+ * @returns {Array<Object>} The rendered entries (see createEntry)
+ */
+function appendEntries(parent, nodes, doc, handlers, context) {
+  const entries = [];
+  for (const node of nodes) {
+    const entry = createEntry(node, doc, handlers, context);
+    if (entry) {
+      entry.dom.forEach(domNode => parent.appendChild(domNode));
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Create the DOM nodes for a parsed node
+ *
+ * @private
+ * @param {Object} node - A parsed node
+ * @param {Document} doc - The document used to create nodes
+ * @param {Object} [handlers] - Functions and values referenced by bindings
+ * @param {{tag: string, namespace: string}|null} context - The parent element tag and namespace, or null at the root
+ * @returns {{node: Object, dom: Node[], bindings?: Array<Object>, children?: Array<Object>}|null}
+ *   The node with its DOM nodes, and for elements their resolved bindings and child entries;
+ *   null for nodes that have no DOM counterpart
+ * @throws {Error} If a node has an unknown type
+ */
+function createEntry(node, doc, handlers, context) {
+  switch (node.type) {
+    case 'text':
+      return { node, dom: [doc.createTextNode(node.value)] };
+    case 'raw': {
+      if (isRawText(context)) {
+        // Text nodes are never parsed as markup, so script and style content needs no special handling
+        return { node, dom: [doc.createTextNode(node.value)] };
+      }
+      // Trusted HTML from !raw is parsed by the document
+      const template = doc.createElement('template');
+      template.innerHTML = node.value;
+      return { node, dom: [...template.content.childNodes] };
+    }
+    case 'comment':
+      return { node, dom: [doc.createComment(node.value)] };
+    case 'doctype':
+      return null;
+    case 'element': {
+      const namespace = resolveNamespace(node.tag, context);
+      const isHtml = namespace === NAMESPACES.html;
+      const element = isHtml ? doc.createElement(node.tag) : doc.createElementNS(namespace, node.tag);
+
+      for (const [name, value] of resolveAttributes(node)) {
+        setAttribute(element, name, value, isHtml);
+      }
+
+      const bindings = resolveBindings(node, handlers);
+      for (const binding of bindings) {
+        applyBinding(element, binding);
+      }
+
+      // Void elements cannot have children
+      const children = isHtml && SELF_CLOSING_TAGS.includes(node.tag)
+        ? []
+        : appendEntries(element, node.children, doc, handlers, { tag: node.tag, namespace });
+
+      return { node, dom: [element], bindings, children };
+    }
+    default:
+      throw new Error(`Unknown YAHTML node type: "${node.type}"`);
+  }
+}
+
+/**
+ * Update the children of a DOM node from the entries rendered before to new parsed nodes
+ *
+ * @private
+ * @param {Node} parent - The DOM node whose children are updated
+ * @param {Array<Object>} previous - The entries rendered before
+ * @param {Array<Object>} nodes - The new parsed nodes
+ * @param {Document} doc - The document used to create nodes
+ * @param {Object} [handlers] - Functions and values referenced by bindings
+ * @param {{tag: string, namespace: string}|null} context - The parent element tag and namespace, or null at the root
+ * @returns {Array<Object>} The new entries
+ *
+ * @description
+ * Nodes with a key are matched with the previous node with the same key, and
+ * nodes without a key with the next previous node without one. Matched nodes of
+ * the same kind are updated in place; the others are created. Previous nodes that
+ * were not reused are removed, and the rest are moved only where the order changed.
+ */
+function patchEntries(parent, previous, nodes, doc, handlers, context) {
+  const keyed = new Map();
+  const unkeyed = [];
+  for (const entry of previous) {
+    const key = nodeKey(entry.node);
+    if (key !== undefined && !keyed.has(key)) {
+      keyed.set(key, entry);
+    } else {
+      unkeyed.push(entry);
+    }
+  }
+
+  const reused = new Set();
+  const entries = [];
+  let position = 0;
+  for (const node of nodes) {
+    const key = nodeKey(node);
+    const match = key !== undefined ? keyed.get(key) : unkeyed[position++];
+    if (match && !reused.has(match) && isSameKind(match.node, node, context)) {
+      reused.add(match);
+      entries.push(updateEntry(match, node, doc, handlers, context));
+    } else {
+      const entry = createEntry(node, doc, handlers, context);
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+  }
+
+  for (const entry of previous) {
+    if (!reused.has(entry)) {
+      entry.dom.forEach(domNode => domNode.parentNode === parent && parent.removeChild(domNode));
+    }
+  }
+
+  // Walk the children in their new order, moving or inserting only nodes that are out of place
+  let cursor = parent.firstChild;
+  for (const entry of entries) {
+    for (const domNode of entry.dom) {
+      if (domNode === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        parent.insertBefore(domNode, cursor);
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Update the DOM nodes of an entry to a new parsed node of the same kind
+ *
+ * @private
+ * @param {Object} entry - The entry rendered before
+ * @param {Object} node - The new parsed node
+ * @param {Document} doc - The document used to create nodes
+ * @param {Object} [handlers] - Functions and values referenced by bindings
+ * @param {{tag: string, namespace: string}|null} context - The parent element tag and namespace, or null at the root
+ * @returns {Object} The new entry, holding the same DOM nodes
+ */
+function updateEntry(entry, node, doc, handlers, context) {
+  const [domNode] = entry.dom;
+  if (node.type !== 'element') {
+    // Trusted HTML is only reused when its markup is unchanged (see isSameKind)
+    if (node.value !== entry.node.value) {
+      domNode.data = node.value;
+    }
+    return { node, dom: entry.dom };
+  }
+
+  const namespace = resolveNamespace(node.tag, context);
+  const isHtml = namespace === NAMESPACES.html;
+
+  const before = new Map(resolveAttributes(entry.node));
+  const after = resolveAttributes(node);
+  for (const name of before.keys()) {
+    if (!after.some(([newName]) => newName === name)) {
+      domNode.removeAttribute(name);
+    }
+  }
+  for (const [name, value] of after) {
+    if (before.get(name) !== value) {
+      setAttribute(domNode, name, value, isHtml);
+    }
+  }
+
+  const bindings = resolveBindings(node, handlers);
+  const isBound = (list, binding) => list.some(b => b.type === binding.type && b.name === binding.name && b.value === binding.value);
+  for (const binding of entry.bindings) {
+    if (binding.type === 'event' && !isBound(bindings, binding)) {
+      domNode.removeEventListener(binding.name, binding.value);
+    }
+  }
+  for (const binding of bindings) {
+    if (!isBound(entry.bindings, binding)) {
+      applyBinding(domNode, binding);
+    }
+  }
+
+  const children = isHtml && SELF_CLOSING_TAGS.includes(node.tag)
+    ? []
+    : patchEntries(domNode, entry.children, node.children, doc, handlers, { tag: node.tag, namespace });
+
+  return { node, dom: entry.dom, bindings, children };
+}
+
+/**
+ * Check whether the DOM nodes of a previous node can be updated to a new node
+ *
+ * @private
+ * @param {Object} previous - The parsed node rendered before
+ * @param {Object} node - The new parsed node
+ * @param {{tag: string, namespace: string}|null} context - The parent element tag and namespace, or null at the root
+ * @returns {boolean} True for elements with the same tag and key, trusted HTML with the same markup,
+ *   and text, comments and script content
+ */
+function isSameKind(previous, node, context) {
+  if (previous.type !== node.type) {
+    return false;
+  }
+  if (node.type === 'element') {
+    return previous.tag === node.tag && nodeKey(previous) === nodeKey(node);
+  }
+  return node.type !== 'raw' || isRawText(context) || previous.value === node.value;
+}
+
+/**
+ * Get the `key` attribute of a parsed node
+ *
+ * @private
+ * @param {Object} node - A parsed node
+ * @returns {string|undefined} The key, or undefined for nodes without one
+ */
+function nodeKey(node) {
+  return node.type === 'element' && 'key' in node.attributes ? String(node.attributes.key) : undefined;
+}
+
+/**
+ * Check whether raw content in a parent is text (script and style) rather than trusted HTML
+ *
+ * @private
+ * @param {{tag: string, namespace: string}|null} context - The parent element tag and namespace, or null at the root
+ * @returns {boolean} True inside script and style
+ */
+function isRawText(context) {
+  return Boolean(context) && RAW_TEXT_TAGS.includes(context.tag);
+}
+
+/**
+ * Set an attribute, in its namespace for the `xlink:`, `xml:` and `xmlns` attributes of foreign elements
+ *
+ * @private
+ * @param {Element} element - The element
+ * @param {string} name - The attribute name
+ * @param {string|true} value - The value; true for boolean attributes
+ * @param {boolean} isHtml - Whether the element is an HTML element
+ */
+function setAttribute(element, name, value, isHtml) {
+  const attrNamespace = isHtml ? null : attributeNamespace(name);
+  if (attrNamespace) {
+    element.setAttributeNS(attrNamespace, name, value === true ? '' : value);
+  } else {
+    element.setAttribute(name, value === true ? '' : value);
+  }
+}
+
+/**
+ * Add an event listener or set a property for a binding
+ *
+ * @private
+ * @param {Element} element - The element
+ * @param {{type: string, name: string, value: *}} binding - The resolved binding
+ */
+function applyBinding(element, binding) {
+  if (binding.type === 'event') {
+    element.addEventListener(binding.name, binding.value);
+  } else {
+    element[binding.name] = binding.value;
+  }
+}
+
+/**
+ * Get the namespace of a prefixed attribute on a foreign element
+ *
+ * @private
+ * @param {string} name - The attribute name (e.g. 'xlink:href')
+ * @returns {string|null} The namespace URI, or null for attributes without a namespace
+ */
+function attributeNamespace(name) {
+  const prefix = name.split(':')[0];
+  if (prefix === name && name !== 'xmlns') {
+    return null;
+  }
+  return NAMESPACED_ATTRIBUTE_PREFIXES.includes(prefix) ? NAMESPACES[prefix] : null;
+}
@@ -0,0 +1,104 @@
+/**
+ * Element keys and text items written by convertFromHtml and stringify. This module
+ * is internal and not exported from the package.
+ */
+
+/**
+ * Tag names the element key parser can read
+ * @private
+ * @constant {RegExp}
+ */
+const KEY_TAG_NAME = /^[\w-]+$/;
+
+/**
+ * Characters that are safe in the `#id` and `.class` shorthand of an element key
+ * @private
+ * @constant {RegExp}
+ */
+const SHORTHAND_TOKEN = /^[\w/-]+(:[\w/-]+)*$/;
+
+/**
+ * Attribute names the element key parser can read
+ * @private
+ * @constant {RegExp}
+ */
+const KEY_ATTRIBUTE_NAME = /^[^\s"'=>/]*[^\s"'=>/:]$/;
+
+/**
+ * Build a YAHTML element key (tag, shorthand and attributes) for an element
+ *
+ * @param {Object} node - Parsed element node
+ * @returns {string|null} The element key, or null if the attributes require object notation
+ *
+ * @example
+ * buildElementKey({ tag: 'a', attributes: [
+ *   { name: 'class', value: 'nav active' },
+ *   { name: 'href', value: '/about' }
+ * ]})
+ * // Returns: 'a.nav.active href=/about'
+ */
+export function buildElementKey(node) {
+  if (!KEY_TAG_NAME.test(node.tag)) {
+    return null;
+  }
+
+  let id = '';
+  let classes = '';
+  const parts = [];
+
+  for (const attr of node.attributes) {
+    if (!KEY_ATTRIBUTE_NAME.test(attr.name)) {
+      return null;
+    }
+
+    if (attr.name === 'id' || attr.name === 'class') {
+      // The key parser writes id and class values without escaping them
+      if (/[&<>"']/.test(attr.value)) {
+        return null;
+      }
+      if (attr.name === 'id' && SHORTHAND_TOKEN.test(attr.value)) {
+        id = `#${attr.value}`;
+        continue;
+      }
+      const classList = attr.value.split(/\s+/).filter(c => c);
+      if (attr.name === 'class' && classList.every(c => SHORTHAND_TOKEN.test(c))) {
+        classes = classList.map(c => `.${c}`).join('');
+        continue;
+      }
+    }
+
+    if (attr.boolean) {
+      parts.push(attr.name);
+    } else if (/^[^\s"'`=<>]+$/.test(attr.value) && !attr.value.endsWith(':')) {
+      parts.push(`${attr.name}=${attr.value}`);
+    } else if (!attr.value.includes('"')) {
+      parts.push(`${attr.name}="${attr.value}"`);
+    } else if (!attr.value.includes("'")) {
+      parts.push(`${attr.name}='${attr.value}'`);
+    } else {
+      return null;
+    }
+  }
+
+  const key = `${node.tag}${id}${classes}`;
+  return parts.length > 0 ? `${key} ${parts.join(' ')}` : key;
+}
+
+/**
+ * Write text as an element-less quoted item (`': "text"'`), which is read as text
+ * even where the text alone would read as an element declaration
+ *
+ * @param {string} text - The text
+ * @returns {string} The string item
+ *
+ * @description
+ * Reading the item removes the backslash before each quote, so double quotes and
+ * single quotes that follow a backslash are escaped.
+ *
+ * @example
+ * quoteText('Note:')
+ * // Returns: ': "Note:"'
+ */
+export function quoteText(text) {
+  return `: "${text.replace(/"|\\'/g, '\\$&')}"`;
+}
@@ -0,0 +1,28 @@
+/**
+ * Convert an HTML string to a YAHTML array
+ *
+ * @param {string} html - The HTML markup to convert
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.preserveWhitespace=false] - Keep all whitespace text as written instead of collapsing formatting whitespace
+ * @returns {Array} The YAHTML content as an array
+ * @throws {TypeError} If html is not a string
+ *
+ * @example
+ * // Shorthand keys and leaf text
+ * convertFromHtml('<div id="main" class="card"><h1>Title</h1><p>Content</p></div>')
+ * // Returns: [{ 'div#main.card': ['h1: "Title"', 'p: "Content"'] }]
+ *
+ * @example
+ * // Empty and void elements
+ * convertFromHtml('<img src="photo.jpg" alt="A photo"><br>')
+ * // Returns: ['img src=photo.jpg alt="A photo":', 'br:']
+ *
+ * @example
+ * // Attributes starting with @, : or . (Vue and Alpine.js templates) become bindings;
+ * // convert them back with the bindings: 'attribute' option
+ * convertFromHtml('<button @click="save()">Save</button>')
+ * // Returns: ['button @click=save(): "Save"']
+ */
+export function convertFromHtml(html: string, options?: {
+    preserveWhitespace?: boolean;
+}): any[];
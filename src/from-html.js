@@ -0,0 +1,483 @@
+import { resolveNamespace, NAMESPACES, SELF_CLOSING_TAGS } from './yahtml.js';
+import { buildElementKey, quoteText } from './element-key.js';
+
+/**
+ * Elements whose content is raw text and is never parsed for markup
+ * @private
+ * @constant {string[]}
+ */
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+/**
+ * Elements whose content is text only, but where character references are decoded
+ * @private
+ * @constant {string[]}
+ */
+const ESCAPABLE_RAW_TEXT_TAGS = ['textarea', 'title'];
+
+/**
+ * Elements whose whitespace is significant and must be kept as written
+ * @private
+ * @constant {string[]}
+ */
+const WHITESPACE_SENSITIVE_TAGS = ['pre', 'textarea', 'script', 'style'];
+
+/**
+ * Elements that implicitly close an open element when they start
+ * (e.g. a new `li` closes the previous `li`)
+ * @private
+ * @constant {Object<string, string[]>}
+ */
+const IMPLIED_END_TAGS = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['tr', 'td', 'th'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  thead: ['tbody', 'tfoot'],
+  tbody: ['thead', 'tbody', 'tfoot'],
+  tfoot: ['thead', 'tbody'],
+  option: ['option'],
+  optgroup: ['option', 'optgroup']
+};
+
+/**
+ * Block-level elements that implicitly close an open `p`
+ * @private
+ * @constant {string[]}
+ */
+const P_CLOSING_TAGS = [
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hgroup', 'hr', 'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section',
+  'table', 'ul'
+];
+
+/**
+ * Named character references decoded by the parser
+ * @private
+ * @constant {Object<string, string>}
+ */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  copy: '©', reg: '®', trade: '™', hellip: '…',
+  mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  middot: '·', bull: '•', times: '×', divide: '÷',
+  euro: '€', pound: '£', yen: '¥', cent: '¢',
+  deg: '°', para: '¶', sect: '§', larr: '←',
+  rarr: '→', uarr: '↑', darr: '↓'
+};
+
+/**
+ * Convert an HTML string to a YAHTML array
+ *
+ * @param {string} html - The HTML markup to convert
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.preserveWhitespace=false] - Keep all whitespace text as written instead of collapsing formatting whitespace
+ * @returns {Array} The YAHTML content as an array
+ * @throws {TypeError} If html is not a string
+ *
+ * @example
+ * // Shorthand keys and leaf text
+ * convertFromHtml('<div id="main" class="card"><h1>Title</h1><p>Content</p></div>')
+ * // Returns: [{ 'div#main.card': ['h1: "Title"', 'p: "Content"'] }]
+ *
+ * @example
+ * // Empty and void elements
+ * convertFromHtml('<img src="photo.jpg" alt="A photo"><br>')
+ * // Returns: ['img src=photo.jpg alt="A photo":', 'br:']
+ *
+ * @example
+ * // Attribute values that cannot be written in a key fall back to object notation
+ * convertFromHtml(`<div title="It's &quot;quoted&quot;">Hi</div>`)
+ * // Returns: [{ div: { title: 'It\'s "quoted"', children: 'Hi' } }]
+ *
+ * @example
+ * // Attributes starting with @, : or . (Vue and Alpine.js templates) become bindings;
+ * // convert them back with the bindings: 'attribute' option
+ * convertFromHtml('<button @click="save()">Save</button>')
+ * // Returns: ['button @click=save(): "Save"']
+ */
+export function convertFromHtml(html, options = {}) {
+  if (typeof html !== 'string') {
+    throw new TypeError('HTML content must be a string.');
+  }
+
+  const { preserveWhitespace = false } = options;
+  const nodes = parseHtml(html);
+
+  return convertNodes(nodes, preserveWhitespace);
+}
+
+/**
+ * Parse an HTML string into a lightweight node tree
+ *
+ * @private
+ * @param {string} html - The HTML markup to parse
+ * @returns {Array<Object>} Top-level nodes
+ *
+ * @description
+ * Produces nodes of the following shapes:
+ * - `{ type: 'element', tag, attributes: [{ name, value, boolean }], children }`
+ * - `{ type: 'text', value }`
+ * - `{ type: 'doctype', value }`
+ *
+ * Comments and processing instructions are skipped. Void elements, raw text
+ * elements and the most common implied end tags are handled; unmatched end
+ * tags are ignored. Tag and attribute names inside `svg` and `math` keep their
+ * case (e.g. `linearGradient`, `viewBox`).
+ */
+function parseHtml(html) {
+  const root = { type: 'element', tag: '', namespace: NAMESPACES.html, attributes: [], children: [] };
+  const stack = [root];
+  let pos = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  const appendText = (value) => {
+    if (!value) return;
+    const children = current().children;
+    const last = children[children.length - 1];
+    if (last && last.type === 'text') {
+      last.value += value;
+    } else {
+      children.push({ type: 'text', value });
+    }
+  };
+
+  while (pos < html.length) {
+    const lt = html.indexOf('<', pos);
+    if (lt < 0) {
+      appendText(decodeEntities(html.substring(pos)));
+      break;
+    }
+    if (lt > pos) {
+      appendText(decodeEntities(html.substring(pos, lt)));
+      pos = lt;
+    }
+
+    // Comments
+    if (html.startsWith('<!--', pos)) {
+      const end = html.indexOf('-->', pos + 4);
+      pos = end < 0 ? html.length : end + 3;
+      continue;
+    }
+
+    // DOCTYPE and other declarations, processing instructions
+    if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+      const end = html.indexOf('>', pos);
+      const declaration = html.substring(pos + 2, end < 0 ? html.length : end).trim();
+      if (/^doctype\b/i.test(declaration)) {
+        current().children.push({ type: 'doctype', value: declaration.replace(/^doctype/i, 'DOCTYPE') });
+      }
+      pos = end < 0 ? html.length : end + 1;
+      continue;
+    }
+
+    // End tags
+    if (html[pos + 1] === '/') {
+      const match = html.substring(pos).match(/^<\/([a-zA-Z][^\s/>]*)[^>]*>?/);
+      if (!match) {
+        appendText('<');
+        pos++;
+        continue;
+      }
+      const tag = match[1].toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].tag.toLowerCase() === tag) {
+          stack.length = i;
+          break;
+        }
+      }
+      pos += match[0].length;
+      continue;
+    }
+
+    // Start tags
+    if (!/[a-zA-Z]/.test(html[pos + 1] || '')) {
+      appendText('<');
+      pos++;
+      continue;
+    }
+
+    const parent = current();
+    const start = readStartTag(html, pos, parent === root ? null : parent);
+    pos = start.end;
+    const { tag, namespace } = start;
+
+    const closes = IMPLIED_END_TAGS[tag] || [];
+    while (stack.length > 1 && (closes.includes(current().tag) ||
+           (current().tag === 'p' && P_CLOSING_TAGS.includes(tag)))) {
+      stack.pop();
+    }
+
+    const element = { type: 'element', tag, namespace, attributes: start.attributes, children: [] };
+    current().children.push(element);
+
+    if ((namespace === NAMESPACES.html && SELF_CLOSING_TAGS.includes(tag)) || start.selfClosing) {
+      continue;
+    }
+
+    if (namespace === NAMESPACES.html && (RAW_TEXT_TAGS.includes(tag) || ESCAPABLE_RAW_TEXT_TAGS.includes(tag))) {
+      const closeMatch = html.substring(pos).match(new RegExp(`</${tag}\\s*>`, 'i'));
+      const end = closeMatch ? pos + closeMatch.index : html.length;
+      const text = html.substring(pos, end);
+      if (text) {
+        element.children.push({
+          type: 'text',
+          value: RAW_TEXT_TAGS.includes(tag) ? text : decodeEntities(text)
+        });
+      }
+      pos = closeMatch ? end + closeMatch[0].length : end;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  return root.children;
+}
+
+/**
+ * Read a start tag and its attributes
+ *
+ * @private
+ * @param {string} html - The HTML markup
+ * @param {number} pos - Position of the opening `<`
+ * @param {{tag: string, namespace: string}|null} parent - The open parent element, or null at the root
+ * @returns {{tag: string, namespace: string, attributes: Array<{name: string, value: string, boolean: boolean}>, selfClosing: boolean, end: number}} The parsed tag and the position after it
+ */
+function readStartTag(html, pos, parent) {
+  pos++; // skip <
+  let nameStart = pos;
+  while (pos < html.length && !/[\s/>]/.test(html[pos])) pos++;
+  let tag = html.substring(nameStart, pos);
+  const namespace = resolveNamespace(tag.toLowerCase(), parent);
+
+  // Only HTML names are case-insensitive
+  const foreign = namespace !== NAMESPACES.html;
+  if (!foreign) {
+    tag = tag.toLowerCase();
+  }
+
+  const attributes = [];
+  let selfClosing = false;
+
+  while (pos < html.length) {
+    // Skip whitespace
+    while (pos < html.length && /\s/.test(html[pos])) pos++;
+    if (pos >= html.length) break;
+
+    if (html[pos] === '>') {
+      pos++;
+      break;
+    }
+    if (html[pos] === '/') {
+      pos++;
+      if (html[pos] === '>') {
+        selfClosing = true;
+        pos++;
+        break;
+      }
+      continue;
+    }
+
+    // Attribute name
+    nameStart = pos;
+    while (pos < html.length && !/[\s=/>]/.test(html[pos])) pos++;
+    const name = foreign ? html.substring(nameStart, pos) : html.substring(nameStart, pos).toLowerCase();
+
+    while (pos < html.length && /\s/.test(html[pos])) pos++;
+    if (html[pos] !== '=') {
+      attributes.push({ name, value: '', boolean: true });
+      continue;
+    }
+    pos++; // skip =
+    while (pos < html.length && /\s/.test(html[pos])) pos++;
+
+    let value = '';
+    const quote = html[pos];
+    if (quote === '"' || quote === "'") {
+      pos++; // skip opening quote
+      const valueStart = pos;
+      while (pos < html.length && html[pos] !== quote) pos++;
+      value = html.substring(valueStart, pos);
+      pos++; // skip closing quote
+    } else {
+      const valueStart = pos;
+      while (pos < html.length && !/[\s>]/.test(html[pos])) pos++;
+      value = html.substring(valueStart, pos);
+    }
+
+    // Later duplicates are ignored, as browsers do
+    if (!attributes.some(attr => attr.name === name)) {
+      attributes.push({ name, value: decodeEntities(value), boolean: false });
+    }
+  }
+
+  return { tag, namespace, attributes, selfClosing, end: pos };
+}
+
+/**
+ * Decode HTML character references
+ *
+ * @private
+ * @param {string} text - Text that may contain character references
+ * @returns {string} Decoded text
+ *
+ * @example
+ * decodeEntities('Fish &amp; Chips &#8212; &#x2764;')
+ * // Returns: 'Fish & Chips — ❤'
+ */
+function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z][a-zA-Z0-9]*);?/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const codePoint = ref[1] === 'x' || ref[1] === 'X'
+        ? parseInt(ref.substring(2), 16)
+        : parseInt(ref.substring(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, ref) ? NAMED_ENTITIES[ref] : match;
+  });
+}
+
+/**
+ * Convert a list of parsed nodes to YAHTML entries
+ *
+ * @private
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {boolean} preserveWhitespace - Whether whitespace is kept as written
+ * @returns {Array} YAHTML entries
+ */
+function convertNodes(nodes, preserveWhitespace) {
+  return normalizeWhitespace(nodes, preserveWhitespace).map(node => {
+    if (node.type === 'doctype') {
+      return `!${node.value}:`;
+    }
+    if (node.type === 'text') {
+      // Text that would be read as an element, like `Note: ` before an element, is quoted
+      return isPlainText(node.value) ? node.value : quoteText(node.value);
+    }
+    return convertElement(node, preserveWhitespace);
+  });
+}
+
+/**
+ * Collapse formatting whitespace in a list of sibling nodes
+ *
+ * @private
+ * @param {Array<Object>} nodes - Sibling nodes
+ * @param {boolean} preserveWhitespace - Whether whitespace is kept as written
+ * @returns {Array<Object>} Nodes with formatting whitespace removed
+ *
+ * @description
+ * Unless whitespace is preserved:
+ * - Runs of whitespace inside text collapse to a single space
+ * - Whitespace-only text containing a line break is dropped
+ * - Leading whitespace of the first and trailing whitespace of the last node are trimmed
+ */
+function normalizeWhitespace(nodes, preserveWhitespace) {
+  if (preserveWhitespace) {
+    return nodes;
+  }
+
+  const result = [];
+  for (const node of nodes) {
+    if (node.type !== 'text') {
+      result.push(node);
+      continue;
+    }
+    if (!node.value.trim() && /[\r\n]/.test(node.value)) {
+      continue;
+    }
+    result.push({ type: 'text', value: node.value.replace(/\s+/g, ' ') });
+  }
+
+  const first = result[0];
+  if (first && first.type === 'text') {
+    first.value = first.value.replace(/^ /, '');
+  }
+  const last = result[result.length - 1];
+  if (last && last.type === 'text') {
+    last.value = last.value.replace(/ $/, '');
+  }
+
+  return result.filter(node => node.type !== 'text' || node.value);
+}
+
+/**
+ * Convert a parsed element to its most compact YAHTML form
+ *
+ * @private
+ * @param {Object} node - Parsed element node
+ * @param {boolean} preserveWhitespace - Whether whitespace is kept as written
+ * @returns {string|Object} YAHTML entry
+ *
+ * @description
+ * Picks the first form that round-trips through `convertToHtml`:
+ * - `'key:'` for empty elements
+ * - `'key: "text"'` for elements with a single text child
+ * - `{ key: text }` when the text cannot be written inside quotes
+ * - `{ key: [children] }` for elements with child elements
+ * - `{ tag: { attr: value, children } }` when the attributes cannot be written in a key
+ */
+function convertElement(node, preserveWhitespace) {
+  const keepWhitespace = preserveWhitespace || WHITESPACE_SENSITIVE_TAGS.includes(node.tag);
+  const children = normalizeWhitespace(node.children, keepWhitespace);
+  const text = children.length === 1 && children[0].type === 'text' ? children[0].value : null;
+  const key = buildElementKey(node);
+
+  if (key === null) {
+    const attributes = {};
+    for (const attr of node.attributes) {
+      attributes[attr.name] = attr.boolean ? true : attr.value;
+    }
+    attributes.children = text !== null ? text : convertNodes(children, keepWhitespace);
+    return { [node.tag]: attributes };
+  }
+
+  if (children.length === 0) {
+    return `${key}:`;
+  }
+
+  if (text !== null) {
+    if (canQuoteText(key, text)) {
+      return `${key}: "${text.replace(/"/g, '\\"')}"`;
+    }
+    return { [key]: text };
+  }
+
+  return { [key]: convertNodes(children, keepWhitespace) };
+}
+
+/**
+ * Check whether text can be written in the `'key: "text"'` string form
+ *
+ * @private
+ * @param {string} key - The element key
+ * @param {string} text - The text content
+ * @returns {boolean} True if the string form reads back as the same key and text
+ */
+function canQuoteText(key, text) {
+  return !key.includes(': "') && !key.includes(": '") &&
+    !text.includes('\\') && text !== '""' && text !== "''";
+}
+
+/**
+ * Check whether a string child is read back as plain text rather than an element
+ *
+ * @private
+ * @param {string} text - The text content
+ * @returns {boolean} True if `convertToHtml` treats the string as text
+ */
+function isPlainText(text) {
+  if (text.endsWith(':') || text.includes(': "') || text.includes(": '")) {
+    return false;
+  }
+  const simpleMatch = text.match(/^([^:]+?|[\w-]+(?:[#.][\w:/-]+)+(?:\s[^:]*?)?):\s+(.*)$/);
+  return !simpleMatch || simpleMatch[1].includes('//');
+}
@@ -0,0 +1,42 @@
+import type { SanitizePolicy } from './sanitize.js';
+import type { TemplateData, YahtmlPlugin } from './yahtml.js';
+import type { ComponentRegistry } from './components.js';
+/**
+ * Build virtual DOM nodes from YAHTML content with a hyperscript factory
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Function} h - Hyperscript factory called as `h(tag, props, children)`
+ * @param {Object} [options] - Conversion options
+ * @param {Object<string, Function|Array>} [options.components] - Components expanded right after parsing (see expandComponents)
+ * @param {Array<Function|Object>} [options.plugins] - Plugins that transform the parsed elements before h is called (see transform)
+ * @param {boolean|Object} [options.sanitize=false] - Remove the elements, attributes and URLs that a policy does not allow, after plugins run (see sanitize)
+ * @returns {Array} The values returned by h for the root elements, and strings for root text
+ * @throws {TypeError} If yahtmlContent is not an array or h is not a function
+ * @throws {Error} If element structure is malformed
+ *
+ * @example
+ * import { h } from 'preact';
+ * toHyperscript([{ 'ul#menu.nav': ['li: "Home"'] }], h)
+ * // Returns: [h('ul', { id: 'menu', class: 'nav' }, [h('li', {}, ['Home'])])]
+ */
+export function toHyperscript<V>(yahtmlContent: any[], h: HyperscriptFactory<V>, options?: HyperscriptOptions): Array<V | string>;
+export type HyperscriptFactory<V> = (tag: string, props: HyperscriptProps, children: Array<V | string>) => V;
+export interface HyperscriptProps {
+    [attribute: string]: any;
+    /** Event listeners from `@event` bindings, only present when the element has any */
+    on?: Record<string, Function>;
+    /** Property values from `:prop` and `.prop` bindings, only present when the element has any */
+    props?: Record<string, any>;
+}
+export interface HyperscriptOptions {
+    /** Components expanded right after parsing, before plugins run (see expandComponents) */
+    components?: ComponentRegistry;
+    /** Template variables for `${...}`, `$if` and `$for` (see renderTemplate) */
+    data?: TemplateData;
+    /** Plugins that transform the parsed elements before h is called */
+    plugins?: YahtmlPlugin[];
+    /** Remove the elements, attributes and URLs that a policy does not allow, after plugins run */
+    sanitize?: boolean | SanitizePolicy;
+    /** Functions and values referenced by `@event` and `:prop` bindings */
+    handlers?: Record<string, any>;
+}
@@ -0,0 +1,112 @@
+import { parse, transform, resolveAttributes, resolveBindings, SELF_CLOSING_TAGS } from './yahtml.js';
+import { sanitize } from './sanitize.js';
+import { expandComponents } from './components.js';
+
+/**
+ * Elements whose raw content is text rather than markup
+ * @private
+ * @constant {string[]}
+ */
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+/**
+ * Build virtual DOM nodes from YAHTML content with a hyperscript factory
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Function} h - Hyperscript factory called as `h(tag, props, children)`
+ * @param {Object} [options] - Conversion options
+ * @param {Object} [options.data] - Template variables for `${...}`, `$if` and `$for` (see renderTemplate)
+ * @param {Object<string, Function|Array>} [options.components] - Components expanded right after parsing (see expandComponents)
+ * @param {Array<Function|Object>} [options.plugins] - Plugins that transform the parsed elements before h is called (see transform)
+ * @param {boolean|Object} [options.sanitize=false] - Remove the elements, attributes and URLs that a policy does not allow, after plugins run (see sanitize)
+ * @param {Object} [options.handlers] - Functions and values referenced by `@event` and `:prop` bindings
+ * @returns {Array} The values returned by h for the root elements, and strings for root text
+ * @throws {TypeError} If yahtmlContent is not an array or h is not a function
+ * @throws {Error} If element structure is malformed, a binding references a missing handler, or the content has trusted HTML (`!raw`)
+ *
+ * @description
+ * Keys are parsed with the same grammar as convertToHtml. For each element:
+ * - `props` holds `id`, `class` (shorthand and attribute classes joined) and the
+ *   remaining attributes in order, with `true` for boolean attributes
+ * - Bindings are added to `props.on` (event name to listener) and `props.props`
+ *   (property name to value), only for elements that have bindings
+ * - `children` is an array of child vnodes and text strings
+ *
+ * Children are built before their parent. Doctype declarations and comments are skipped.
+ * Wrap h to adapt props to libraries that expect another shape, such as
+ * snabbdom's `{ attrs }`.
+ *
+ * @example
+ * import { h } from 'preact';
+ * toHyperscript([{ 'ul#menu.nav': ['li: "Home"'] }], h)
+ * // Returns: [h('ul', { id: 'menu', class: 'nav' }, [h('li', {}, ['Home'])])]
+ *
+ * @example
+ * import { h } from 'snabbdom';
+ * toHyperscript(content, (tag, props, children) => h(tag, { attrs: props }, children))
+ */
+export function toHyperscript(yahtmlContent, h, options = {}) {
+  if (typeof h !== 'function') {
+    throw new TypeError('toHyperscript requires a hyperscript function h(tag, props, children).');
+  }
+
+  let ast = parse(yahtmlContent, { data: options.data });
+  if (options.components) {
+    ast = expandComponents(ast, options.components);
+  }
+  if (options.plugins) {
+    ast = transform(ast, options.plugins);
+  }
+  if (options.sanitize) {
+    ast = sanitize(ast, options.sanitize);
+  }
+
+  return buildChildren(ast, h, options.handlers, null);
+}
+
+/**
+ * Build vnodes for a list of parsed nodes
+ *
+ * @private
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Function} h - Hyperscript factory
+ * @param {Object} [handlers] - Functions and values referenced by bindings
+ * @param {string|null} parentTag - The tag of the parent element, or null at the root
+ * @returns {Array} Vnodes and text strings
+ * @throws {Error} If a node has an unknown type, or is trusted HTML that vnodes cannot hold
+ */
+function buildChildren(nodes, h, handlers, parentTag) {
+  const children = [];
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'raw':
+        if (!RAW_TEXT_TAGS.includes(parentTag)) {
+          throw new Error('Trusted HTML ("!raw") cannot be built with toHyperscript, as vnodes hold no markup');
+        }
+        children.push(node.value);
+        break;
+      case 'text':
+        children.push(node.value);
+        break;
+      case 'doctype':
+      case 'comment':
+        break;
+      case 'element': {
+        const props = Object.fromEntries(resolveAttributes(node));
+        for (const binding of resolveBindings(node, handlers)) {
+          const group = binding.type === 'event' ? 'on' : 'props';
+          props[group] = { ...props[group], [binding.name]: binding.value };
+        }
+        // Void elements cannot have children
+        const elementChildren = SELF_CLOSING_TAGS.includes(node.tag) ? [] : buildChildren(node.children, h, handlers, node.tag);
+        children.push(h(node.tag, props, elementChildren));
+        break;
+      }
+      default:
+        throw new Error(`Unknown YAHTML node type: "${node.type}"`);
+    }
+  }
+
+  return children;
+}
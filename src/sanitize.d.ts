@@ -0,0 +1,34 @@
+import type { YahtmlNode } from "./yahtml.js";
+/**
+ * Built-in policy used by `sanitize: true`: text formatting, lists, tables, links
+ * and images, with http, https, mailto and tel URLs
+ */
+export const DEFAULT_SANITIZE_POLICY: Required<SanitizePolicy>;
+/**
+ * Remove the elements, attributes and URLs that a policy does not allow from a parsed node tree
+ *
+ * @param {Array<Object>} ast - The nodes returned by parse
+ * @param {Object|boolean} [policy=true] - The policy; `true` uses DEFAULT_SANITIZE_POLICY, and
+ *   fields missing from an object are taken from it
+ * @returns {Array<Object>} New sanitized nodes; the input nodes are not changed
+ * @throws {TypeError} If policy.rawText is not 'escape' or 'drop'
+ *
+ * @example
+ * render(sanitize(parse(['a href="javascript:alert(1)" onclick=steal(): "Click"', 'script: "alert(1)"'])))
+ * // Returns: '<a>Click</a>alert(1)'
+ */
+export function sanitize(ast: YahtmlNode[], policy?: true | SanitizePolicy): YahtmlNode[];
+export interface SanitizePolicy {
+    /** Elements that are kept; other elements are replaced by their sanitized children */
+    tags?: string[];
+    /** Attributes kept per tag, with `'*'` for every tag. A trailing `*` matches a prefix (`data-*`) */
+    attributes?: Record<string, string[]>;
+    /** Attributes whose value is a URL, checked against protocols */
+    urlAttributes?: string[];
+    /** URL schemes allowed in URL attributes; relative URLs are always allowed */
+    protocols?: string[];
+    /** What happens to `script` and `style` content outside allowed elements, and to trusted HTML (`!raw`): 'escape' keeps it as text, 'drop' removes it */
+    rawText?: 'escape' | 'drop';
+    /** Whether comments are kept */
+    comments?: boolean;
+}
@@ -0,0 +1,188 @@
+/**
+ * Built-in policy used by `sanitize: true`: text formatting, lists, tables, links
+ * and images, with http, https, mailto and tel URLs
+ * @constant {Object}
+ * @property {string[]} tags - Elements that are kept; other elements are replaced by their sanitized children
+ * @property {Object<string, string[]>} attributes - Attributes kept per tag, with `'*'` for every tag. A trailing `*` matches a prefix (`data-*`)
+ * @property {string[]} urlAttributes - Attributes whose value is a URL, checked against protocols
+ * @property {string[]} protocols - URL schemes allowed in URL attributes; relative URLs are always allowed
+ * @property {string} rawText - What happens to `script` and `style` content outside allowed elements, and to trusted HTML (`!raw`): 'escape' keeps it as text, 'drop' removes it
+ * @property {boolean} comments - Whether comments are kept
+ * @example
+ * // Also allow YouTube embeds
+ * convertToHtml(content, { sanitize: {
+ *   tags: [...DEFAULT_SANITIZE_POLICY.tags, 'iframe'],
+ *   attributes: { ...DEFAULT_SANITIZE_POLICY.attributes, iframe: ['src', 'width', 'height', 'allowfullscreen'] }
+ * }})
+ */
+export const DEFAULT_SANITIZE_POLICY = {
+  tags: [
+    'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption',
+    'cite', 'code', 'col', 'colgroup', 'data', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt',
+    'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup',
+    'hr', 'i', 'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 'rp', 'rt',
+    'ruby', 's', 'samp', 'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+    'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul', 'var', 'wbr'
+  ],
+  attributes: {
+    '*': ['id', 'class', 'title', 'lang', 'dir', 'role', 'aria-*'],
+    a: ['href', 'rel', 'hreflang'],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    del: ['cite', 'datetime'],
+    ins: ['cite', 'datetime'],
+    time: ['datetime'],
+    data: ['value'],
+    ol: ['start', 'reversed', 'type'],
+    li: ['value'],
+    col: ['span'],
+    colgroup: ['span'],
+    td: ['colspan', 'rowspan', 'headers'],
+    th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr'],
+    details: ['open']
+  },
+  urlAttributes: ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'],
+  protocols: ['http', 'https', 'mailto', 'tel'],
+  rawText: 'escape',
+  comments: false
+};
+
+/**
+ * Elements whose content is parsed as raw text
+ * @private
+ * @constant {string[]}
+ */
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+/**
+ * Remove the elements, attributes and URLs that a policy does not allow from a parsed node tree
+ *
+ * @param {Array<Object>} ast - The nodes returned by parse
+ * @param {Object|boolean} [policy=true] - The policy; `true` uses DEFAULT_SANITIZE_POLICY, and
+ *   fields missing from an object are taken from it
+ * @returns {Array<Object>} New sanitized nodes; the input nodes are not changed
+ * @throws {TypeError} If policy.rawText is not 'escape' or 'drop'
+ *
+ * @description
+ * - Elements not in `tags` are replaced by their sanitized children, so their text is kept.
+ *   The content of `script` and `style` is escaped as text or dropped, as `rawText` says
+ * - Attributes and the `#id` and `.class` shorthand are kept only if listed in
+ *   `attributes` for the tag or for `'*'`. Event handler attributes (`onclick`) and
+ *   bindings are dropped unless listed
+ * - URL attributes are dropped when their scheme is not in `protocols`. Whitespace and
+ *   control characters are ignored when reading the scheme, as browsers do (`java\tscript:`)
+ * - Trusted HTML (`!raw`) and other raw nodes outside allowed `script` and `style`
+ *   elements are handled as `rawText` says, so they are never written as markup
+ * - Comments are dropped unless `comments` is true
+ *
+ * convertToHtml, renderToDom and toHyperscript run this after plugins with the `sanitize` option.
+ *
+ * @example
+ * render(sanitize(parse(['a href="javascript:alert(1)" onclick=steal(): "Click"', 'script: "alert(1)"'])))
+ * // Returns: '<a>Click</a>alert(1)'
+ */
+export function sanitize(ast, policy = true) {
+  const settings = policy === true ? DEFAULT_SANITIZE_POLICY : { ...DEFAULT_SANITIZE_POLICY, ...policy };
+  if (settings.rawText !== 'escape' && settings.rawText !== 'drop') {
+    throw new TypeError(`Invalid sanitize policy rawText "${settings.rawText}". Use "escape" or "drop".`);
+  }
+
+  return sanitizeNodes(ast, settings, null);
+}
+
+/**
+ * Sanitize sibling nodes
+ *
+ * @private
+ * @param {Array<Object>} nodes - The sibling nodes
+ * @param {Object} settings - The complete policy
+ * @param {string|null} parentTag - The tag of the nearest kept element, or null at the root
+ * @returns {Array<Object>} The sanitized nodes
+ */
+function sanitizeNodes(nodes, settings, parentTag) {
+  const result = [];
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'raw':
+        if (RAW_TEXT_TAGS.includes(parentTag)) {
+          result.push({ ...node });
+        } else if (settings.rawText === 'escape') {
+          result.push({ ...node, type: 'text' });
+        }
+        break;
+      case 'comment':
+        if (settings.comments) {
+          result.push({ ...node });
+        }
+        break;
+      case 'element': {
+        if (!settings.tags.includes(node.tag)) {
+          if (!RAW_TEXT_TAGS.includes(node.tag) || settings.rawText === 'escape') {
+            result.push(...sanitizeNodes(node.children, settings, parentTag));
+          }
+          break;
+        }
+        const attributes = {};
+        for (const [name, value] of Object.entries(node.attributes)) {
+          if (isAllowedAttribute(settings, node.tag, name) && isAllowedValue(settings, name, value)) {
+            attributes[name] = value;
+          }
+        }
+        result.push({
+          ...node,
+          id: isAllowedAttribute(settings, node.tag, 'id') ? node.id : '',
+          classes: isAllowedAttribute(settings, node.tag, 'class') ? [...node.classes] : [],
+          attributes,
+          children: sanitizeNodes(node.children, settings, node.tag)
+        });
+        break;
+      }
+      default:
+        result.push({ ...node });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a policy allows an attribute on a tag
+ *
+ * @private
+ * @param {Object} settings - The complete policy
+ * @param {string} tag - The element tag
+ * @param {string} name - The attribute name
+ * @returns {boolean} True if the attribute is listed for the tag or for every tag
+ */
+function isAllowedAttribute(settings, tag, name) {
+  const allowed = [...(settings.attributes['*'] || []), ...(settings.attributes[tag] || [])];
+  const lowerName = name.toLowerCase();
+  return allowed.some(pattern => pattern.endsWith('*')
+    ? lowerName.startsWith(pattern.slice(0, -1).toLowerCase())
+    : lowerName === pattern.toLowerCase());
+}
+
+/**
+ * Check whether a policy allows an attribute value, by the scheme of URL attributes
+ *
+ * Not part of the public API: compile uses it for URL attributes whose value is
+ * only known when the compiled template is rendered.
+ *
+ * @param {Object} settings - The complete policy
+ * @param {string} name - The attribute name
+ * @param {string|true} value - The attribute value
+ * @returns {boolean} True if the attribute is not a URL attribute, or the URL is relative or has an allowed scheme
+ *
+ * @example
+ * isAllowedValue(DEFAULT_SANITIZE_POLICY, 'href', ' JaVa\nScRiPt:alert(1)')
+ * // Returns: false
+ */
+export function isAllowedValue(settings, name, value) {
+  if (value === true || !settings.urlAttributes.includes(name.toLowerCase())) {
+    return true;
+  }
+  const scheme = value.replace(/[\u0000-\u0020\u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || settings.protocols.includes(scheme[1].toLowerCase());
+}
@@ -0,0 +1,34 @@
+import type { RenderOptions } from "./yahtml.js";
+import type { SanitizePolicy } from "./sanitize.js";
+/**
+ * Render YAHTML content to HTML chunks as the tree is walked
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array; children may be promises or async iterables
+ * @param {Object} [options] - Rendering options: `mode`, `bindings`, `bindingPrefix` and `sanitize` as in convertToHtml
+ * @returns {AsyncGenerator<string>} The HTML in chunks; joined, they equal the output of convertToHtml
+ * @throws {TypeError} If yahtmlContent is not an array, an option that needs the whole tree (`pretty`, `components`, `plugins`, `strict`) is set,
+ *   or template data is given
+ *
+ * @example
+ * for await (const chunk of renderToIterable([{ 'ul.products': fetchProducts() }])) {
+ *   response.write(chunk);
+ * }
+ */
+export function renderToIterable(yahtmlContent: any[], options?: StreamOptions): AsyncGenerator<string, void, undefined>;
+/**
+ * Render YAHTML content to a web ReadableStream of UTF-8 bytes
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array; children may be promises or async iterables
+ * @param {Object} [options] - Rendering options (see renderToIterable)
+ * @returns {ReadableStream<Uint8Array>} The HTML as a byte stream
+ * @throws {TypeError} If the runtime has no global ReadableStream (Node before 18), yahtmlContent is not an array,
+ *   or an option that needs the whole tree is set
+ *
+ * @example
+ * return new Response(renderToStream(page), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+ */
+export function renderToStream(yahtmlContent: any[], options?: StreamOptions): ReadableStream<Uint8Array>;
+export interface StreamOptions extends Omit<RenderOptions, 'pretty' | 'indent' | 'sourceMap' | 'pathAttributes'> {
+    /** Remove the elements, attributes and URLs that a policy does not allow; `true` uses DEFAULT_SANITIZE_POLICY */
+    sanitize?: boolean | SanitizePolicy;
+}
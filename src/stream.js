@@ -0,0 +1,384 @@
+import { parse, render, resolveNamespace, NAMESPACES } from './yahtml.js';
+import { sanitize } from './sanitize.js';
+
+/**
+ * Number of characters collected before a chunk is emitted
+ * @private
+ * @constant {number}
+ */
+const STREAM_CHUNK_SIZE = 16384;
+
+/**
+ * Yielded by the internal generators before waiting for async content, so the
+ * HTML collected so far is emitted first
+ * @private
+ * @constant {symbol}
+ */
+const FLUSH = Symbol('flush');
+
+/**
+ * Placeholder child rendered between the start and end tag of a streamed element
+ * @private
+ * @constant {string}
+ */
+const CHILDREN_SLOT = 'yahtml-children';
+
+/**
+ * convertToHtml options that need the whole tree and cannot be streamed
+ * @private
+ * @constant {string[]}
+ */
+const UNSUPPORTED_OPTIONS = ['pretty', 'components', 'plugins', 'strict', 'sourceMap', 'pathAttributes'];
+
+/**
+ * Render YAHTML content to HTML chunks as the tree is walked
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array; children may be promises or async iterables
+ * @param {Object} [options] - Rendering options: `mode`, `bindings`, `bindingPrefix` and `sanitize` as in convertToHtml
+ * @returns {AsyncGenerator<string>} The HTML in chunks; joined, they equal the output of convertToHtml
+ * @throws {TypeError} If yahtmlContent is not an array, an option that needs the whole tree (`pretty`, `components`, `plugins`, `strict`) is set,
+ *   or template data is given
+ *
+ * @description
+ * Elements are written start tag first, then their children, then the end tag,
+ * so a page is never held in memory as a whole. Chunks are about 16 KB, and the
+ * HTML collected so far is emitted before waiting for async content.
+ *
+ * Async content can appear wherever an item or an element value can:
+ * - A promise is awaited and its value used in its place
+ * - An async iterable (such as an async generator) is read item by item, like an array
+ *
+ * `svg` and `math` elements are written whole, after their async content is resolved.
+ * Errors, including malformed elements found mid-stream, reject the iteration.
+ *
+ * @example
+ * for await (const chunk of renderToIterable([{ 'ul.products': fetchProducts() }])) {
+ *   response.write(chunk);
+ * }
+ *
+ * @example
+ * // Async generators stream list items as they arrive
+ * async function* rows() {
+ *   for await (const product of db.products()) {
+ *     yield { li: [`h2: "${product.name}"`] };
+ *   }
+ * }
+ * renderToIterable([{ ul: rows() }])
+ */
+export function renderToIterable(yahtmlContent, options = {}) {
+  if (!Array.isArray(yahtmlContent)) {
+    throw new TypeError('YAHTML content must be an array. YAHTML documents always start with an array at the root level.');
+  }
+  const unsupported = UNSUPPORTED_OPTIONS.find(name => options[name]);
+  if (unsupported) {
+    throw new TypeError(`The "${unsupported}" option needs the whole tree and cannot be used when streaming. Use convertToHtml instead.`);
+  }
+  if (options.data !== undefined) {
+    throw new TypeError('The "data" option cannot be used when streaming. Use renderTemplate, or build the content in JavaScript.');
+  }
+  // Check the options before the first chunk is requested
+  render([], options);
+
+  return streamChunks(yahtmlContent, options);
+}
+
+/**
+ * Render YAHTML content to a web ReadableStream of UTF-8 bytes
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array; children may be promises or async iterables
+ * @param {Object} [options] - Rendering options (see renderToIterable)
+ * @returns {ReadableStream<Uint8Array>} The HTML as a byte stream
+ * @throws {TypeError} If the runtime has no global ReadableStream (Node before 18), yahtmlContent is not an array,
+ *   or an option that needs the whole tree is set
+ *
+ * @description
+ * The stream pulls chunks from renderToIterable, so it only renders as fast as
+ * it is read, and cancelling it stops the rendering. Errors during rendering
+ * error the stream. On Node, convert it with `Readable.fromWeb` where a Node
+ * stream is needed, or use `Readable.from(renderToIterable(content))`, which
+ * also works on Node 14 and 16.
+ *
+ * @example
+ * // A fetch handler (e.g. Deno, Bun, Cloudflare Workers or Node with undici)
+ * return new Response(renderToStream(page), { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+ *
+ * @example
+ * // Node http
+ * Readable.fromWeb(renderToStream(page)).pipe(res);
+ */
+export function renderToStream(yahtmlContent, options = {}) {
+  if (typeof ReadableStream === 'undefined') {
+    throw new TypeError('renderToStream needs the global ReadableStream of Node 18 or later. Use Readable.from(renderToIterable(content)) instead.');
+  }
+  const chunks = renderToIterable(yahtmlContent, options);
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encoder.encode(value));
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await chunks.return();
+    }
+  });
+}
+
+/**
+ * Collect rendered HTML into chunks
+ *
+ * @private
+ * @param {Array} yahtmlContent - The YAHTML content
+ * @param {Object} options - Rendering options
+ * @returns {AsyncGenerator<string>} The chunks
+ */
+async function* streamChunks(yahtmlContent, options) {
+  let buffer = '';
+
+  for await (const html of streamItems(yahtmlContent, options)) {
+    if (html === FLUSH) {
+      if (buffer) {
+        yield buffer;
+        buffer = '';
+      }
+      continue;
+    }
+    buffer += html;
+    if (buffer.length >= STREAM_CHUNK_SIZE) {
+      yield buffer;
+      buffer = '';
+    }
+  }
+
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+/**
+ * Render a list of items, read from an array or an async iterable
+ *
+ * @private
+ * @param {Array|AsyncIterable} items - The items
+ * @param {Object} options - Rendering options
+ * @returns {AsyncGenerator<string|symbol>} HTML strings and FLUSH markers
+ */
+async function* streamItems(items, options) {
+  if (Array.isArray(items)) {
+    for (const item of items) {
+      yield* streamItem(item, options);
+    }
+    return;
+  }
+
+  const iterator = items[Symbol.asyncIterator]();
+  while (true) {
+    yield FLUSH;
+    const { value, done } = await iterator.next();
+    if (done) return;
+    yield* streamItem(value, options);
+  }
+}
+
+/**
+ * Render a single item, streaming the children of HTML elements
+ *
+ * @private
+ * @param {*} item - A YAHTML item, promise or async iterable
+ * @param {Object} options - Rendering options
+ * @returns {AsyncGenerator<string|symbol>} HTML strings and FLUSH markers
+ */
+async function* streamItem(item, options) {
+  if (isThenable(item)) {
+    yield FLUSH;
+    item = await item;
+  }
+  if (Array.isArray(item) || isAsyncIterable(item)) {
+    yield* streamItems(item, options);
+    return;
+  }
+
+  const element = splitElement(item);
+  if (!element) {
+    yield renderItem(item, options);
+    return;
+  }
+
+  if (element.pending) {
+    // Wait for the element value, then handle the element as if it had been written with it
+    yield FLUSH;
+    yield* streamItem(element.resolve(await element.pending), options);
+    return;
+  }
+
+  const [node] = parse([element.shell]);
+
+  if (resolveNamespace(node.tag, null) !== NAMESPACES.html) {
+    // Foreign content is written whole, as its namespace declarations depend on its descendants
+    if (hasAsync(item)) {
+      yield FLUSH;
+      item = await resolveAll(item);
+    }
+    yield renderItem(item, options);
+    return;
+  }
+
+  // A text child shows whether the sanitizer keeps the element, replaces it by its children, or drops them
+  node.children = [{ type: 'text', value: CHILDREN_SLOT }];
+  const nodes = options.sanitize ? sanitize([node], options.sanitize) : [node];
+  const kept = nodes.find(candidate => candidate.type === 'element');
+  if (!kept) {
+    if (nodes.length > 0) {
+      yield* streamItems(element.children, options);
+    }
+    return;
+  }
+
+  // Render the element around a placeholder child to get its start and end tags
+  kept.children = [{ type: 'raw', value: CHILDREN_SLOT }];
+  const html = render([kept], options);
+  const slot = html.lastIndexOf(CHILDREN_SLOT);
+  if (slot < 0) {
+    // Void elements have no children
+    yield html;
+    return;
+  }
+
+  yield html.substring(0, slot);
+  yield* streamItems(element.children, options);
+  yield html.substring(slot + CHILDREN_SLOT.length);
+}
+
+/**
+ * Split an element item into the element without children and its children
+ *
+ * @private
+ * @param {*} item - A YAHTML item
+ * @returns {{shell: Object, children: Array|AsyncIterable}|{pending: Promise, resolve: Function}|null}
+ *   The element without children and its children, the pending value of the element and
+ *   a function that puts the resolved value back in the element, or null for items
+ *   rendered whole (strings, text, comments and elements without a list of children)
+ */
+function splitElement(item) {
+  if (!item || typeof item !== 'object' || item instanceof Date) {
+    return null;
+  }
+  const key = Object.keys(item)[0];
+  if (!key || key.startsWith('!') || key.startsWith('"!')) {
+    return null;
+  }
+
+  const value = item[key];
+  if (isThenable(value)) {
+    return { pending: value, resolve: resolved => ({ [key]: resolved }) };
+  }
+  if (Array.isArray(value) || isAsyncIterable(value)) {
+    return { shell: { [key]: null }, children: value };
+  }
+
+  if (value && typeof value === 'object' && 'children' in value) {
+    const { children } = value;
+    if (isThenable(children)) {
+      return { pending: children, resolve: resolved => ({ [key]: { ...value, children: resolved } }) };
+    }
+    if (Array.isArray(children) || isAsyncIterable(children)) {
+      return { shell: { [key]: { ...value, children: null } }, children };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Render an item that has no async content
+ *
+ * @private
+ * @param {*} item - A YAHTML item
+ * @param {Object} options - Rendering options
+ * @returns {string} The HTML
+ */
+function renderItem(item, options) {
+  let nodes = parse([item]);
+  if (options.sanitize) {
+    nodes = sanitize(nodes, options.sanitize);
+  }
+  return render(nodes, options);
+}
+
+/**
+ * Check whether an item or its descendants are promises or async iterables
+ *
+ * @private
+ * @param {*} item - A YAHTML item
+ * @returns {boolean} True if the item has async content
+ */
+function hasAsync(item) {
+  if (isThenable(item) || isAsyncIterable(item)) {
+    return true;
+  }
+  if (Array.isArray(item)) {
+    return item.some(hasAsync);
+  }
+  if (item && typeof item === 'object' && !(item instanceof Date)) {
+    return Object.values(item).some(hasAsync);
+  }
+  return false;
+}
+
+/**
+ * Resolve all promises and async iterables in an item
+ *
+ * @private
+ * @param {*} item - A YAHTML item
+ * @returns {Promise<*>} The item with promises replaced by their values and async iterables by arrays
+ */
+async function resolveAll(item) {
+  if (isThenable(item)) {
+    return resolveAll(await item);
+  }
+  if (isAsyncIterable(item)) {
+    const items = [];
+    for await (const value of item) {
+      items.push(await resolveAll(value));
+    }
+    return items;
+  }
+  if (Array.isArray(item)) {
+    return Promise.all(item.map(resolveAll));
+  }
+  if (item && typeof item === 'object' && !(item instanceof Date)) {
+    const entries = await Promise.all(Object.entries(item).map(async ([key, value]) => [key, await resolveAll(value)]));
+    return Object.fromEntries(entries);
+  }
+  return item;
+}
+
+/**
+ * Check whether a value is a promise or another thenable
+ *
+ * @private
+ * @param {*} value - The value
+ * @returns {boolean} True if the value has a then method
+ */
+function isThenable(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+/**
+ * Check whether a value is an async iterable
+ *
+ * @private
+ * @param {*} value - The value
+ * @returns {boolean} True if the value has a Symbol.asyncIterator method
+ */
+function isAsyncIterable(value) {
+  return value !== null && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function';
+}
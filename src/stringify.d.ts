@@ -0,0 +1,23 @@
+/**
+ * Convert YAHTML content to YAHTML source text (YAML) in the canonical style
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Output options
+ * @param {number} [options.indent=2] - Number of spaces per nesting level (2 or more)
+ * @returns {string} The YAML text, ending with a line break
+ * @throws {TypeError} If yahtmlContent is not an array, or indent is not a whole number of 2 or more
+ * @throws {Error} If the content is malformed
+ *
+ * @example
+ * stringify([{ 'div#main.card': ['h1: "Title"', { p: { class: 'lead', children: 'Hi' } }] }])
+ * // Returns:
+ * // - div#main.card:
+ * //   - h1: "Title"
+ * //   - p.lead: "Hi"
+ */
+export function stringify(yahtmlContent: any[], options?: StringifyOptions): string;
+
+export interface StringifyOptions {
+    /** Number of spaces per nesting level (2 or more). Default: 2 */
+    indent?: number;
+}
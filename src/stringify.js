@@ -0,0 +1,270 @@
+import yaml from 'js-yaml';
+import { parse } from './yahtml.js';
+import { buildElementKey, quoteText } from './element-key.js';
+
+/**
+ * Convert YAHTML content to YAHTML source text (YAML) in the canonical style
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Output options
+ * @param {number} [options.indent=2] - Number of spaces per nesting level (2 or more)
+ * @returns {string} The YAML text, ending with a line break
+ * @throws {TypeError} If yahtmlContent is not an array, or indent is not a whole number of 2 or more
+ * @throws {Error} If the content is malformed
+ *
+ * @description
+ * Every element is written in the form the README uses, whatever notation it was written in:
+ * - `- key:` for empty elements
+ * - `- key: "text"` for elements with a single text child. The text is a YAML value,
+ *   so it is never read back as an element declaration
+ * - `- key:` followed by the children, one level deeper, for other elements
+ * - Object notation (`tag:` with the attributes and `children`) when the attributes
+ *   cannot be written in a key
+ *
+ * Keys use the `tag#id.class attr=value` shorthand, text is double-quoted, and keys
+ * are quoted only where YAML needs it. Nested arrays are flattened and items that
+ * produce no output are dropped. `$if` and `$for` blocks are kept, with each branch as a list.
+ *
+ * Loading the result with a YAML parser gives content that renders the same HTML,
+ * and stringifying that content again gives the same text, so stringify can be used
+ * as a formatter for YAHTML documents.
+ *
+ * @example
+ * stringify([{ 'div#main.card': ['h1: "Title"', { p: { class: 'lead', children: 'Hi' } }] }])
+ * // Returns:
+ * // - div#main.card:
+ * //   - h1: "Title"
+ * //   - p.lead: "Hi"
+ *
+ * @example
+ * // Formatting a YAHTML document
+ * stringify(yaml.load(sourceText), { indent: 4 })
+ */
+export function stringify(yahtmlContent, options = {}) {
+  if (!Array.isArray(yahtmlContent)) {
+    throw new TypeError('YAHTML content must be an array. YAHTML documents always start with an array at the root level.');
+  }
+
+  const { indent = 2 } = options;
+  if (!Number.isInteger(indent) || indent < 2) {
+    throw new TypeError(`The indent option must be a whole number of 2 or more spaces, not ${JSON.stringify(indent)}.`);
+  }
+
+  const lines = writeItems(yahtmlContent, '', ' '.repeat(indent));
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '[]\n';
+}
+
+/**
+ * Write a list of YAHTML items as YAML sequence entries
+ *
+ * @private
+ * @param {Array} items - The items
+ * @param {string} pad - Indentation of the entries
+ * @param {string} step - Indentation added per nesting level
+ * @returns {string[]} The lines
+ */
+function writeItems(items, pad, step) {
+  return items.flatMap(item => Array.isArray(item) ? writeItems(item, pad, step) : writeItem(item, pad, step));
+}
+
+/**
+ * Write a YAHTML item as YAML sequence entries
+ *
+ * @private
+ * @param {*} item - The item
+ * @param {string} pad - Indentation of the entries
+ * @param {string} step - Indentation added per nesting level
+ * @returns {string[]} The lines; none for items that produce no output
+ *
+ * @description
+ * Elements with a list of children are parsed without their children, which are
+ * written item by item, so that template blocks among them are kept.
+ */
+function writeItem(item, pad, step) {
+  if (item && typeof item === 'object' && !(item instanceof Date)) {
+    const key = Object.keys(item)[0];
+
+    if (key !== undefined && key.startsWith('$')) {
+      // Template block: each branch is written as a list
+      return Object.entries(item).flatMap(([branchKey, branch], index) => {
+        const head = `${index === 0 ? `${pad}- ` : `${pad}  `}${yamlKey(branchKey)}:`;
+        const lines = writeItems(Array.isArray(branch) ? branch : [branch], pad + step, step);
+        return lines.length > 0 ? [head, ...lines] : [`${head} []`];
+      });
+    }
+
+    const value = key === undefined ? undefined : item[key];
+    const objectNotation = value !== null && typeof value === 'object' && !Array.isArray(value) && 'children' in value;
+    const children = objectNotation ? value.children : value;
+    if (Array.isArray(children) && !key.startsWith('!') && !key.startsWith('"!')) {
+      const [node] = parse([{ [key]: objectNotation ? { ...value, children: [] } : [] }]);
+      return writeElement(node, children, pad, step);
+    }
+  }
+
+  return parse([item]).flatMap(node => writeNode(node, pad, step));
+}
+
+/**
+ * Write a parsed node as a YAML sequence entry
+ *
+ * @private
+ * @param {Object} node - The node
+ * @param {string} pad - Indentation of the entry
+ * @param {string} step - Indentation added per nesting level
+ * @returns {string[]} The lines
+ */
+function writeNode(node, pad, step) {
+  switch (node.type) {
+    case 'element':
+      return writeElement(node, null, pad, step);
+    case 'text':
+      // Text that would be read as an element declaration is written as a quoted item
+      return [`${pad}- ${yamlText(readsAsText(node.value) ? node.value : quoteText(node.value))}`];
+    case 'raw':
+      return [`${pad}- ${yamlKey('!raw')}: ${yamlText(node.value)}`];
+    case 'comment':
+      return [`${pad}- ${yamlKey('!--')}: ${yamlText(node.value)}`];
+    case 'doctype':
+      return [`${pad}- ${yamlKey(`!DOCTYPE ${node.value}`.trim())}:`];
+    default:
+      throw new Error(`Unknown YAHTML node type: "${node.type}"`);
+  }
+}
+
+/**
+ * Write an element as a YAML sequence entry
+ *
+ * @private
+ * @param {Object} node - The parsed element
+ * @param {Array|null} items - The children as YAHTML items, or null to write the children of the node
+ * @param {string} pad - Indentation of the entry
+ * @param {string} step - Indentation added per nesting level
+ * @returns {string[]} The lines
+ */
+function writeElement(node, items, pad, step) {
+  const attributes = elementAttributes(node);
+  const key = buildElementKey({ tag: node.tag, attributes });
+  const text = items ? itemsText(node.tag, items) : nodesText(node.children);
+  // Lists under a key start at the column of the key, plus the indentation beyond 2
+  const writeChildren = childPad => items
+    ? writeItems(items, childPad, step)
+    : node.children.flatMap(child => writeNode(child, childPad, step));
+
+  if (key !== null) {
+    if (text !== null) {
+      return [`${pad}- ${yamlKey(key)}: ${yamlText(text)}`];
+    }
+    return [`${pad}- ${yamlKey(key)}:`, ...writeChildren(pad + step)];
+  }
+
+  const attributePad = `${pad}  ${step}`;
+  const lines = [
+    `${pad}- ${yamlKey(node.tag)}:`,
+    ...attributes.map(attr => `${attributePad}${yamlKey(attr.name)}: ${attr.boolean ? 'true' : yamlText(attr.value)}`)
+  ];
+  if (text !== null) {
+    return [...lines, `${attributePad}children: ${yamlText(text)}`];
+  }
+  const children = writeChildren(attributePad + step.slice(2));
+  return children.length > 0 ? [...lines, `${attributePad}children:`, ...children] : [...lines, `${attributePad}children: []`];
+}
+
+/**
+ * List the attributes of a parsed element in the order they are rendered, with bindings in place
+ *
+ * @private
+ * @param {Object} node - The parsed element
+ * @returns {Array<{name: string, value: string, boolean: boolean}>} The attributes
+ */
+function elementAttributes(node) {
+  const attributes = [];
+  if (node.id && !('id' in node.attributes)) {
+    attributes.push({ name: 'id', value: node.id, boolean: false });
+  }
+
+  const attributeClasses = typeof node.attributes.class === 'string' ? node.attributes.class.split(' ') : [];
+  const classes = [...node.classes, ...attributeClasses].filter(c => c);
+  if (classes.length > 0) {
+    attributes.push({ name: 'class', value: classes.join(' '), boolean: false });
+  }
+
+  for (const [name, value] of Object.entries(node.attributes)) {
+    if (name !== 'class') {
+      attributes.push({ name, value: value === true ? '' : String(value), boolean: value === true });
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Get the text of an element whose children are a single text or raw node
+ *
+ * @private
+ * @param {Array<Object>} children - The parsed children
+ * @returns {string|null} The text, or null if the children are not a single text or raw node
+ */
+function nodesText(children) {
+  const [child] = children;
+  return children.length === 1 && (child.type === 'text' || child.type === 'raw') ? child.value : null;
+}
+
+/**
+ * Get the text of an element whose children are a single text item
+ *
+ * @private
+ * @param {string} tag - The tag name
+ * @param {Array} items - The children as YAHTML items
+ * @returns {string|null} The text, or null if the children cannot be written as the element's text
+ *
+ * @description
+ * The text is only used when it parses the same as the content of the element.
+ * In `script` and `style`, content is raw while a text item is escaped.
+ */
+function itemsText(tag, items) {
+  if (items.length !== 1 || !['string', 'number', 'boolean'].includes(typeof items[0])) {
+    return null;
+  }
+  const [child] = parse(items);
+  const [content] = parse([{ [tag]: items[0] }])[0].children;
+  return child && child.type === 'text' && content.type === 'text' && content.value === child.value ? child.value : null;
+}
+
+/**
+ * Check whether a string item is read back as the same text
+ *
+ * @private
+ * @param {string} text - The text
+ * @returns {boolean} True if parsing the string gives a text node with the same value
+ */
+function readsAsText(text) {
+  try {
+    const [node] = parse([text]);
+    return node.type === 'text' && node.value === text;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write a mapping key, quoted only where YAML needs it
+ *
+ * @private
+ * @param {string} key - The key
+ * @returns {string} The YAML scalar
+ */
+function yamlKey(key) {
+  const quoted = key.includes('\n') ? { forceQuotes: true, quotingType: '"' } : {};
+  return yaml.dump(key, { lineWidth: -1, ...quoted }).trimEnd();
+}
+
+/**
+ * Write text as a double-quoted YAML scalar
+ *
+ * @private
+ * @param {string} text - The text
+ * @returns {string} The YAML scalar
+ */
+function yamlText(text) {
+  return yaml.dump(text, { lineWidth: -1, forceQuotes: true, quotingType: '"' }).trimEnd();
+}
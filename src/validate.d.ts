@@ -0,0 +1,47 @@
+import type { TemplateData, YahtmlNode, YahtmlPath, YahtmlPlugin } from "./yahtml.js";
+import type { ComponentRegistry } from "./components.js";
+/**
+ * Check YAHTML content against the HTML content model and basic accessibility rules
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Validation options
+ * @returns {Array<Object>} The diagnostics in document order
+ * @throws {TypeError} If yahtmlContent is not an array, or options.rules names an unknown rule
+ *
+ * @example
+ * validate([{ p: ['div: "Block"'] }])
+ * // Returns: [{ rule: 'content-model', severity: 'error', path: [0, 'p', 0],
+ * //   message: '<div> is not allowed in <p>, which only accepts phrasing content' }]
+ */
+export function validate(yahtmlContent: any[], options?: ValidateOptions): Diagnostic[];
+/**
+ * Check a parsed node tree against the HTML content model and basic accessibility rules
+ *
+ * @param {Array<Object>} ast - The nodes returned by parse, preferably with the `paths` option
+ * @param {Object} [options] - Validation options
+ * @returns {Array<Object>} The diagnostics in document order
+ * @throws {TypeError} If options.rules names an unknown rule
+ *
+ * @example
+ * validateAst(transform(parse(content, { paths: true }), plugins))
+ */
+export function validateAst(ast: YahtmlNode[], options?: Pick<ValidateOptions, 'rules'>): Diagnostic[];
+export type ValidationRule = 'malformed-element' | 'void-content' | 'content-model' | 'required-parent' | 'nested-interactive' | 'duplicate-id' | 'raw-html' | 'unknown-tag' | 'img-alt' | 'html-lang' | 'accessible-name';
+export type ValidationSeverity = 'error' | 'warning';
+export interface ValidateOptions {
+    /** Components expanded right after parsing, before plugins run (see expandComponents) */
+    components?: ComponentRegistry;
+    /** Template variables for `${...}`, `$if` and `$for` (see renderTemplate) */
+    data?: TemplateData;
+    /** Plugins that transform the parsed elements before they are checked */
+    plugins?: YahtmlPlugin[];
+    /** Severity per rule id; 'off' disables the rule */
+    rules?: Partial<Record<ValidationRule, ValidationSeverity | 'off'>>;
+}
+export interface Diagnostic {
+    rule: ValidationRule;
+    severity: ValidationSeverity;
+    /** Path of keys and indices to the offending item in the YAHTML content */
+    path: YahtmlPath;
+    message: string;
+}
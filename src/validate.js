@@ -0,0 +1,431 @@
+import { parse, transform, resolveAttributes, resolveNamespace, NAMESPACES, SELF_CLOSING_TAGS } from './yahtml.js';
+import { expandComponents } from './components.js';
+
+/**
+ * Validation rules and their default severity
+ * @private
+ * @constant {Object<string, string>}
+ */
+const RULES = {
+  'malformed-element': 'error',
+  'void-content': 'error',
+  'content-model': 'error',
+  'required-parent': 'error',
+  'nested-interactive': 'error',
+  'duplicate-id': 'error',
+  'raw-html': 'error',
+  'unknown-tag': 'warning',
+  'img-alt': 'warning',
+  'html-lang': 'warning',
+  'accessible-name': 'warning'
+};
+
+/**
+ * Elements of the HTML standard
+ * @private
+ * @constant {string[]}
+ */
+const HTML_TAGS = [
+  'a', 'abbr', 'address', 'area', 'article', 'aside', 'audio', 'b', 'base', 'bdi', 'bdo',
+  'blockquote', 'body', 'br', 'button', 'canvas', 'caption', 'cite', 'code', 'col', 'colgroup',
+  'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'dialog', 'div', 'dl', 'dt', 'em', 'embed',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'head', 'header', 'hgroup', 'hr', 'html', 'i', 'iframe', 'img', 'input', 'ins', 'kbd', 'label',
+  'legend', 'li', 'link', 'main', 'map', 'mark', 'math', 'menu', 'meta', 'meter', 'nav',
+  'noscript', 'object', 'ol', 'optgroup', 'option', 'output', 'p', 'param', 'picture', 'pre',
+  'progress', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'script', 'search', 'section', 'select',
+  'slot', 'small', 'source', 'span', 'strong', 'style', 'sub', 'summary', 'sup', 'svg', 'table',
+  'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead', 'time', 'title', 'tr', 'track',
+  'u', 'ul', 'var', 'video', 'wbr'
+];
+
+/**
+ * Phrasing content: the elements allowed where only inline content is
+ * @private
+ * @constant {string[]}
+ */
+const PHRASING_TAGS = [
+  'a', 'abbr', 'area', 'audio', 'b', 'bdi', 'bdo', 'br', 'button', 'canvas', 'cite', 'code',
+  'data', 'datalist', 'del', 'dfn', 'em', 'embed', 'i', 'iframe', 'img', 'input', 'ins', 'kbd',
+  'label', 'link', 'map', 'mark', 'math', 'meta', 'meter', 'noscript', 'object', 'output',
+  'picture', 'progress', 'q', 'ruby', 's', 'samp', 'script', 'select', 'slot', 'small', 'span',
+  'strong', 'sub', 'sup', 'svg', 'template', 'textarea', 'time', 'u', 'var', 'video', 'wbr'
+];
+
+/**
+ * Elements whose children must be phrasing content
+ * @private
+ * @constant {string[]}
+ */
+const PHRASING_PARENTS = [
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'span', 'em', 'strong', 'small', 's', 'cite',
+  'q', 'dfn', 'abbr', 'code', 'var', 'samp', 'kbd', 'sub', 'sup', 'i', 'b', 'u', 'mark', 'bdi',
+  'bdo', 'data', 'time', 'label', 'output', 'button'
+];
+
+/**
+ * Elements that take the content model of their parent
+ * @private
+ * @constant {string[]}
+ */
+const TRANSPARENT_TAGS = ['a', 'ins', 'del', 'map', 'object', 'audio', 'video', 'canvas', 'noscript', 'slot'];
+
+/**
+ * Elements that only accept some child elements, and no text
+ * @private
+ * @constant {Object<string, string[]>}
+ */
+const ALLOWED_CHILDREN = {
+  ul: ['li', 'script', 'template'],
+  ol: ['li', 'script', 'template'],
+  menu: ['li', 'script', 'template'],
+  dl: ['dt', 'dd', 'div', 'script', 'template'],
+  table: ['caption', 'colgroup', 'thead', 'tbody', 'tfoot', 'tr', 'script', 'template'],
+  thead: ['tr', 'script', 'template'],
+  tbody: ['tr', 'script', 'template'],
+  tfoot: ['tr', 'script', 'template'],
+  tr: ['td', 'th', 'script', 'template'],
+  colgroup: ['col', 'template'],
+  select: ['option', 'optgroup', 'hr', 'script', 'template'],
+  optgroup: ['option', 'script', 'template'],
+  picture: ['source', 'img', 'script', 'template'],
+  html: ['head', 'body'],
+  head: ['title', 'meta', 'link', 'style', 'script', 'base', 'noscript', 'template']
+};
+
+/**
+ * Elements that must be a child of one of the listed elements
+ * @private
+ * @constant {Object<string, string[]>}
+ */
+const REQUIRED_PARENTS = {
+  li: ['ul', 'ol', 'menu'],
+  dt: ['dl', 'div'],
+  dd: ['dl', 'div'],
+  caption: ['table'],
+  colgroup: ['table'],
+  col: ['colgroup', 'table'],
+  thead: ['table'],
+  tbody: ['table'],
+  tfoot: ['table'],
+  tr: ['table', 'thead', 'tbody', 'tfoot'],
+  td: ['tr'],
+  th: ['tr'],
+  option: ['select', 'datalist', 'optgroup'],
+  optgroup: ['select'],
+  figcaption: ['figure'],
+  summary: ['details'],
+  legend: ['fieldset'],
+  source: ['picture', 'video', 'audio'],
+  track: ['video', 'audio'],
+  param: ['object'],
+  rt: ['ruby'],
+  rp: ['ruby'],
+  head: ['html'],
+  body: ['html']
+};
+
+/**
+ * Elements that cannot contain interactive content
+ * @private
+ * @constant {string[]}
+ */
+const NON_INTERACTIVE_PARENTS = ['a', 'button'];
+
+/**
+ * Interactive content
+ * @private
+ * @constant {string[]}
+ */
+const INTERACTIVE_TAGS = ['a', 'button', 'details', 'embed', 'iframe', 'input', 'label', 'select', 'textarea'];
+
+/**
+ * Elements that cannot contain another element of the same kind
+ * @private
+ * @constant {string[]}
+ */
+const NON_NESTING_TAGS = ['form', 'label', 'dialog'];
+
+/**
+ * Elements whose raw content is text rather than markup
+ * @private
+ * @constant {string[]}
+ */
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+/**
+ * Check YAHTML content against the HTML content model and basic accessibility rules
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Validation options
+ * @param {Object} [options.data] - Template variables for `${...}`, `$if` and `$for` (see renderTemplate)
+ * @param {Object<string, Function|Array>} [options.components] - Components expanded right after parsing (see expandComponents)
+ * @param {Array<Function|Object>} [options.plugins] - Plugins that transform the parsed elements before they are checked (see transform)
+ * @param {Object<string, string>} [options.rules] - Severity per rule id: 'error', 'warning' or 'off'
+ * @returns {Array<{rule: string, severity: string, path: Array<string|number>, message: string}>} The diagnostics in document order
+ * @throws {TypeError} If yahtmlContent is not an array, or options.rules names an unknown rule
+ *
+ * @description
+ * Rules (default severity):
+ * - `malformed-element` (error): the content cannot be parsed; reported instead of thrown
+ * - `void-content` (error): a void element such as `br` has children, which are never rendered
+ * - `content-model` (error): a child the parent does not accept, such as a `div` in a `p`
+ *   or in a `ul`, text in a `table`, or a `form` in a `form`
+ * - `required-parent` (error): an element outside the parent it needs, such as an `li` outside a list
+ * - `nested-interactive` (error): interactive content inside an `a` or `button`
+ * - `duplicate-id` (error): an id used by more than one element
+ * - `raw-html` (error): trusted HTML (`!raw`), which cannot be checked
+ * - `unknown-tag` (warning): a tag that is neither an HTML element nor a custom element (with a hyphen)
+ * - `img-alt` (warning): an `img`, `area` or image input without `alt`
+ * - `html-lang` (warning): an `html` element without `lang`
+ * - `accessible-name` (warning): a link or button without text, `aria-label`, `aria-labelledby` or `title`
+ *
+ * `path` is the path of keys and indices to the offending item in yahtmlContent
+ * (see the `paths` option of parse). Content inside `svg` and `math` is only
+ * checked for duplicate ids.
+ *
+ * @example
+ * validate([{ p: ['div: "Block"'] }, 'img src=a.png:'])
+ * // Returns: [
+ * //   { rule: 'content-model', severity: 'error', path: [0, 'p', 0],
+ * //     message: '<div> is not allowed in <p>, which only accepts phrasing content' },
+ * //   { rule: 'img-alt', severity: 'warning', path: [1],
+ * //     message: '<img> needs an alt attribute (use alt="" for decorative images)' }
+ * // ]
+ *
+ * @example
+ * // Partials may start with list items
+ * validate(['li: "One"'], { rules: { 'required-parent': 'off' } })
+ * // Returns: []
+ */
+export function validate(yahtmlContent, options = {}) {
+  let ast;
+  try {
+    ast = parse(yahtmlContent, { paths: true, data: options.data });
+    if (options.components) {
+      ast = expandComponents(ast, options.components);
+    }
+  } catch (error) {
+    if (error instanceof TypeError && !error.path) {
+      throw error;
+    }
+    return [{ rule: 'malformed-element', severity: 'error', path: error.path || [], message: error.message }];
+  }
+
+  if (options.plugins) {
+    ast = transform(ast, options.plugins);
+  }
+
+  return validateAst(ast, options);
+}
+
+/**
+ * Check a parsed node tree against the HTML content model and basic accessibility rules
+ *
+ * @param {Array<Object>} ast - The nodes returned by parse, preferably with the `paths` option
+ * @param {Object} [options] - Validation options
+ * @param {Object<string, string>} [options.rules] - Severity per rule id: 'error', 'warning' or 'off'
+ * @returns {Array<{rule: string, severity: string, path: Array<string|number>, message: string}>} The diagnostics in document order
+ * @throws {TypeError} If options.rules names an unknown rule
+ *
+ * @description
+ * Runs the same rules as validate on a tree that is already parsed, for example
+ * after running plugins with transform. Nodes without a `path` (such as nodes
+ * added by plugins) are reported with the path of their nearest ancestor that has one.
+ *
+ * @example
+ * validateAst(transform(parse(content, { paths: true }), plugins))
+ */
+export function validateAst(ast, options = {}) {
+  const severities = { ...RULES };
+  for (const [rule, severity] of Object.entries(options.rules || {})) {
+    if (!(rule in RULES)) {
+      throw new TypeError(`Unknown validation rule "${rule}". Known rules: ${Object.keys(RULES).join(', ')}`);
+    }
+    severities[rule] = severity;
+  }
+
+  const diagnostics = [];
+  const state = {
+    ids: new Map(),
+    report(rule, path, message) {
+      if (severities[rule] !== 'off') {
+        diagnostics.push({ rule, severity: severities[rule], path, message });
+      }
+    }
+  };
+
+  checkNodes(ast, { parent: null, path: [], phrasing: null, interactive: null, ancestors: [] }, state);
+  return diagnostics;
+}
+
+/**
+ * Check sibling nodes and their descendants
+ *
+ * @private
+ * @param {Array<Object>} nodes - The sibling nodes
+ * @param {Object} context - Where the nodes are: parent element, nearest path, and the restrictions inherited from ancestors
+ * @param {Object} state - Ids seen so far and the report function
+ */
+function checkNodes(nodes, context, state) {
+  const { parent } = context;
+  const htmlParent = parent && parent.namespace === NAMESPACES.html ? parent.tag : null;
+
+  for (const node of nodes) {
+    const path = node.path || context.path;
+
+    if (node.type === 'raw' && !RAW_TEXT_TAGS.includes(htmlParent)) {
+      state.report('raw-html', path, 'Trusted HTML ("!raw") cannot be checked');
+      continue;
+    }
+    if (node.type === 'text' || node.type === 'raw') {
+      if (htmlParent && ALLOWED_CHILDREN[htmlParent] && node.value.trim()) {
+        state.report('content-model', path, `Text is not allowed in <${htmlParent}>`);
+      }
+      continue;
+    }
+    if (node.type !== 'element') continue;
+
+    const { tag } = node;
+    const namespace = resolveNamespace(tag, parent);
+    const attributes = Object.fromEntries(resolveAttributes(node));
+
+    if (attributes.id !== undefined && attributes.id !== true) {
+      const firstPath = state.ids.get(attributes.id);
+      if (firstPath) {
+        state.report('duplicate-id', path, `Duplicate id "${attributes.id}", first used at ${JSON.stringify(firstPath)}`);
+      } else {
+        state.ids.set(attributes.id, path);
+      }
+    }
+
+    const childContext = {
+      parent: { tag, namespace },
+      path,
+      phrasing: null,
+      interactive: context.interactive,
+      ancestors: [...context.ancestors, tag]
+    };
+
+    if (namespace === NAMESPACES.html) {
+      const valid = checkElement(node, attributes, context, path, state);
+      if (PHRASING_PARENTS.includes(tag)) {
+        childContext.phrasing = tag;
+      } else if (TRANSPARENT_TAGS.includes(tag) && valid) {
+        childContext.phrasing = context.phrasing;
+      }
+      if (NON_INTERACTIVE_PARENTS.includes(tag)) {
+        childContext.interactive = tag;
+      }
+      if (SELF_CLOSING_TAGS.includes(tag)) {
+        // Children of void elements are never rendered, and were reported above
+        continue;
+      }
+    }
+
+    checkNodes(node.children, childContext, state);
+  }
+}
+
+/**
+ * Check an HTML element against its parent and ancestors, and the accessibility rules
+ *
+ * @private
+ * @param {Object} node - The element node
+ * @param {Object<string, string|true>} attributes - The resolved attributes of the element
+ * @param {Object} context - Where the element is (see checkNodes)
+ * @param {Array<string|number>} path - Path reported for the element
+ * @param {Object} state - Ids seen so far and the report function
+ * @returns {boolean} False if the element is not allowed where it is
+ */
+function checkElement(node, attributes, context, path, state) {
+  const { tag } = node;
+  const parentTag = context.parent && context.parent.namespace === NAMESPACES.html ? context.parent.tag : null;
+  const known = HTML_TAGS.includes(tag);
+  let valid = true;
+
+  if (!known && !tag.includes('-')) {
+    state.report('unknown-tag', path, `Unknown element <${tag}>`);
+  }
+
+  if (SELF_CLOSING_TAGS.includes(tag) && node.children.length > 0) {
+    state.report('void-content', path, `<${tag}> is a void element and cannot have children; they are not rendered`);
+  }
+
+  const requiredParents = REQUIRED_PARENTS[tag];
+  if (requiredParents && parentTag !== 'template' && !requiredParents.includes(parentTag)) {
+    valid = false;
+    state.report('required-parent', path, `<${tag}> must be inside ${listTags(requiredParents)}`);
+  }
+
+  const allowedChildren = parentTag && ALLOWED_CHILDREN[parentTag];
+  if (allowedChildren && !allowedChildren.includes(tag)) {
+    valid = false;
+    state.report('content-model', path, `<${tag}> is not allowed in <${parentTag}>`);
+  } else if (context.phrasing && known && !PHRASING_TAGS.includes(tag)) {
+    valid = false;
+    state.report('content-model', path, `<${tag}> is not allowed in <${context.phrasing}>, which only accepts phrasing content`);
+  } else if (NON_NESTING_TAGS.includes(tag) && context.ancestors.includes(tag)) {
+    valid = false;
+    state.report('content-model', path, `<${tag}> cannot be inside another <${tag}>`);
+  }
+
+  if (context.interactive && INTERACTIVE_TAGS.includes(tag) && !(tag === 'input' && attributes.type === 'hidden')) {
+    valid = false;
+    state.report('nested-interactive', path, `<${tag}> cannot be inside <${context.interactive}>`);
+  }
+
+  if ((tag === 'img' || (tag === 'area' && 'href' in attributes) || (tag === 'input' && attributes.type === 'image')) &&
+      !('alt' in attributes)) {
+    state.report('img-alt', path, `<${tag}> needs an alt attribute (use alt="" for decorative images)`);
+  }
+
+  if (tag === 'html' && !attributes.lang) {
+    state.report('html-lang', path, '<html> needs a lang attribute');
+  }
+
+  if (((tag === 'a' && 'href' in attributes) || tag === 'button') && !hasAccessibleName(node, attributes)) {
+    state.report('accessible-name', path, `<${tag}> has no text, aria-label, aria-labelledby or title, so it has no accessible name`);
+  }
+
+  return valid;
+}
+
+/**
+ * Check whether an element has an accessible name
+ *
+ * @private
+ * @param {Object} node - The element node
+ * @param {Object<string, string|true>} attributes - The resolved attributes of the element
+ * @returns {boolean} True if the element has a naming attribute, or text or image alt text inside it
+ */
+function hasAccessibleName(node, attributes) {
+  if (['aria-label', 'aria-labelledby', 'title'].some(name => typeof attributes[name] === 'string' && attributes[name].trim())) {
+    return true;
+  }
+  return node.children.some(child => {
+    if (child.type === 'text') {
+      return child.value.trim() !== '';
+    }
+    if (child.type !== 'element') {
+      return false;
+    }
+    const childAttributes = Object.fromEntries(resolveAttributes(child));
+    if (child.tag === 'img') {
+      return typeof childAttributes.alt === 'string' && childAttributes.alt.trim() !== '';
+    }
+    return hasAccessibleName(child, childAttributes);
+  });
+}
+
+/**
+ * List tag names for a message
+ *
+ * @private
+ * @param {string[]} tags - Tag names
+ * @returns {string} The tags in angle brackets, such as `<ul>, <ol> or <menu>`
+ */
+function listTags(tags) {
+  const names = tags.map(tag => `<${tag}>`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
@@ -1,8 +1,15 @@
+import type { SanitizePolicy } from "./sanitize.js";
+import type { ComponentRegistry } from "./components.js";
+import type { ValidateOptions } from "./validate.js";
 /**
  * Convert YAHTML array to HTML string
  *
  * @param {Array} yahtmlContent - The YAHTML content as an array
- * @returns {string} The converted HTML string
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.pretty=false] - Put block elements on their own indented lines
+ * @param {number|string} [options.indent=2] - Number of spaces (or the string) used per indentation level in pretty output
+ * @param {boolean} [options.sourceMap=false] - Return `{ html, map }`, where the map relates ranges of the HTML to paths in the content
+ * @returns {string|{html: string, map: Array<Object>}} The converted HTML string, or the HTML and its source map with the sourceMap option
  * @throws {TypeError} If yahtmlContent is not an array
  * @throws {Error} If element structure is malformed
  *
@@ -31,7 +38,253 @@
  * ])
  * // Returns: '<img src="photo.jpg" alt="Photo"><a href="https://example.com">Link</a>'
  */
-export function convertToHtml(yahtmlContent: any[]): string;
+export function convertToHtml(yahtmlContent: any[], options: ConvertOptions & { sourceMap: true }): SourceMapResult;
+export function convertToHtml(yahtmlContent: any[], options?: ConvertOptions): string;
+/**
+ * Render a YAHTML template with data to an HTML string
+ *
+ * @param {Array} yahtmlContent - The YAHTML template as an array
+ * @param {Object} data - Template variables
+ * @param {Object} [options] - Conversion options; all convertToHtml options are supported
+ * @returns {string|{html: string, map: Array<Object>}} The HTML string, or the HTML and its source map with the sourceMap option
+ * @throws {TypeError} If yahtmlContent is not an array or data is not an object
+ * @throws {Error} If the template is malformed or uses an undefined variable; the error has the path of the failing item
+ *
+ * @example
+ * renderTemplate([
+ *   'h1: "Hello ${user.name}"',
+ *   { '$if items': [{ ul: [{ '$for item in items': ['li: "${item}"'] }] }], $else: ['p: "Nothing yet"'] }
+ * ], { user: { name: 'Ada' }, items: ['<b>', 'Tea'] })
+ * // Returns: '<h1>Hello Ada</h1><ul><li>&lt;b&gt;</li><li>Tea</li></ul>'
+ */
+export function renderTemplate(yahtmlContent: any[], data: TemplateData, options: Omit<ConvertOptions, 'data'> & { sourceMap: true }): SourceMapResult;
+export function renderTemplate(yahtmlContent: any[], data: TemplateData, options?: Omit<ConvertOptions, 'data'>): string;
+/**
+ * Compile a YAHTML template to a function that renders it
+ *
+ * @param {Array} yahtmlContent - The YAHTML template as an array
+ * @param {Object} [options] - Compile options
+ * @returns {Function|string} `render(data)`, which returns the HTML string that renderTemplate returns for the same
+ *   template and data, or with `module`, the module source code
+ * @throws {TypeError} If yahtmlContent is not an array, or an option compile does not support
+ *   (`pretty`, `components`, `plugins`, `strict`, `data`, `sourceMap` or `pathAttributes`) is set
+ * @throws {Error} If the template is malformed or uses an expression that is not a variable path; the error has the path of the failing item.
+ *   The render function throws for undefined variables, like renderTemplate
+ *
+ * @example
+ * const card = compile([{ 'article.card': ['h2: "${title}"', { '$for tag in tags': ['span.tag: "${tag}"'] }] }]);
+ * card({ title: 'Tea', tags: ['hot', 'green'] })
+ * // Returns: '<article class="card"><h2>Tea</h2><span class="tag">hot</span><span class="tag">green</span></article>'
+ */
+export function compile(yahtmlContent: any[], options: CompileOptions & { module: true }): string;
+export function compile(yahtmlContent: any[], options?: CompileOptions & { module?: false }): CompiledTemplate;
+export type CompiledTemplate = (data?: TemplateData) => string;
+export interface CompileOptions extends Omit<RenderOptions, 'pretty' | 'indent' | 'sourceMap' | 'pathAttributes'> {
+    /** Remove the elements, attributes and URLs that a policy does not allow; URLs written from variables are checked when rendering */
+    sanitize?: boolean | SanitizePolicy;
+    /** Return the source code of an ES module whose default export is the render function */
+    module?: boolean;
+}
+/**
+ * Parse YAHTML content into a normalized node tree
+ *
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.paths=false] - Record on each node the path of keys and indices that leads to it in yahtmlContent
+ * @param {Object} [options.data] - Template variables; the content is a template with `${...}`, `$if` and `$for` (see renderTemplate)
+ * @returns {Array<Object>} The parsed nodes
+ * @throws {TypeError} If yahtmlContent is not an array, or options.data is not an object
+ * @throws {Error} If element structure is malformed, or a template uses an undefined variable. With `paths`, the error has the path of the failing item
+ *
+ * @example
+ * parse(['div#main.card title="Hi": "Hello"'])
+ * // Returns: [{
+ * //   type: 'element',
+ * //   tag: 'div',
+ * //   id: 'main',
+ * //   classes: ['card'],
+ * //   attributes: { title: 'Hi' },
+ * //   children: [{ type: 'text', value: 'Hello' }]
+ * // }]
+ */
+export function parse(yahtmlContent: any[], options?: ParseOptions): YahtmlNode[];
+export interface ParseOptions {
+    /** Record on each node the path of keys and indices that leads to it in yahtmlContent */
+    paths?: boolean;
+    /** Template variables; the content is a template with `${...}`, `$if` and `$for` */
+    data?: TemplateData;
+}
+/** Template variables, looked up by paths such as `user.name` or `items.0` */
+export type TemplateData = Record<string, any>;
+/** Path of keys and indices that leads to an item in the YAHTML content, such as `[1, 'ul', 0]` */
+export type YahtmlPath = Array<string | number>;
+/**
+ * Render a parsed node tree to an HTML string
+ *
+ * @param {Array<Object>|Object} ast - The nodes returned by parse, or a single node
+ * @param {Object} [options] - Rendering options (same as convertToHtml)
+ * @returns {string|{html: string, map: Array<Object>}} The HTML string, or the HTML and its source map with the sourceMap option
+ * @throws {Error} If a node has an unknown type
+ */
+export function render(ast: YahtmlNode[] | YahtmlNode, options: RenderOptions & { sourceMap: true }): SourceMapResult;
+export function render(ast: YahtmlNode[] | YahtmlNode, options?: RenderOptions): string;
+/** HTML with its source map, returned with the `sourceMap` option */
+export interface SourceMapResult {
+    html: string;
+    /** One entry per node with a path, in the order the nodes start */
+    map: SourceMapping[];
+}
+/** The range of the HTML that a node was rendered to */
+export interface SourceMapping {
+    /** Offset of the first character of the node in the HTML */
+    start: number;
+    /** Offset after the last character of the node in the HTML */
+    end: number;
+    type: YahtmlNode['type'];
+    /** Path of the node in the YAHTML content; text written in an element string has the path of the string */
+    path: YahtmlPath;
+    /** One-based line of the node's item in the YAML source, from convertYamlToHtml */
+    line?: number;
+    /** One-based column of the node's item in the YAML source, from convertYamlToHtml */
+    column?: number;
+}
+/**
+ * Run plugins over a parsed node tree
+ *
+ * @param {Array<Object>} ast - The nodes returned by parse
+ * @param {Array<Function|Object>} plugins - The plugins to run, in order
+ * @returns {Array<Object>} The transformed nodes
+ * @throws {TypeError} If plugins is not an array of functions or visitor objects
+ *
+ * @example
+ * // Open external links in a new tab
+ * const externalLinks = (node) => {
+ *   if (node.tag === 'a' && /^https?:/.test(node.attributes.href)) {
+ *     node.attributes.target = '_blank';
+ *     node.attributes.rel = 'noopener';
+ *   }
+ * };
+ * render(transform(parse(['a href=https://example.com: "Example"']), [externalLinks]))
+ * // Returns: '<a href="https://example.com" target="_blank" rel="noopener">Example</a>'
+ */
+export function transform(ast: YahtmlNode[], plugins: YahtmlPlugin[]): YahtmlNode[];
+/**
+ * Resolve the final attributes of an element node, in output order
+ *
+ * @param {Object} node - A parsed element node
+ * @returns {Array<[string, string|true]>} Attribute name and value pairs; `true` for boolean attributes
+ *
+ * @example
+ * resolveAttributes(parse(['a#home.nav class=active href=/ hidden:'])[0])
+ * // Returns: [['id', 'home'], ['class', 'nav active'], ['href', '/'], ['hidden', true]]
+ */
+export function resolveAttributes(node: YahtmlElementNode): Array<[string, string | true]>;
+/**
+ * Resolve the bindings of an element node against a handlers map
+ *
+ * @param {Object} node - A parsed element node
+ * @param {Object} [handlers] - Functions and values referenced by `@event` and `:prop` bindings
+ * @returns {Array<{type: string, name: string, value: *}>} Event and property descriptors in attribute order
+ * @throws {Error} If a binding references a name missing from the handlers map, or an event handler is not a function
+ *
+ * @example
+ * resolveBindings(parse(['button @click=save .disabled: "Save"'])[0], { save })
+ * // Returns: [
+ * //   { type: 'event', name: 'click', value: save },
+ * //   { type: 'property', name: 'disabled', value: true }
+ * // ]
+ */
+export function resolveBindings(node: YahtmlElementNode, handlers?: Record<string, any>): Binding[];
+export interface Binding {
+    type: 'event' | 'property';
+    name: string;
+    value: any;
+}
+export interface PluginContext {
+    /** The parent element node, or null at the root */
+    parent: YahtmlElementNode | null;
+    depth: number;
+}
+/** Keep the node (possibly mutated) with void, replace it with nodes, or remove it with null or false */
+export type PluginResult = void | YahtmlNode | YahtmlNode[] | null | false;
+export type Visitor<T extends YahtmlNode> = (node: T, context: PluginContext) => PluginResult;
+export type YahtmlPlugin = Visitor<YahtmlElementNode> | {
+    element?: Visitor<YahtmlElementNode>;
+    text?: Visitor<YahtmlTextNode>;
+    raw?: Visitor<YahtmlRawNode>;
+    comment?: Visitor<YahtmlCommentNode>;
+    doctype?: Visitor<YahtmlDoctypeNode>;
+};
+export interface ConvertOptions extends RenderOptions {
+    /** Components expanded right after parsing, before plugins run (see expandComponents) */
+    components?: ComponentRegistry;
+    /** Plugins that transform the parsed elements before they are rendered */
+    plugins?: YahtmlPlugin[];
+    /** Remove the elements, attributes and URLs that a policy does not allow, after plugins run; `true` uses DEFAULT_SANITIZE_POLICY */
+    sanitize?: boolean | SanitizePolicy;
+    /** Check the content with validate (after plugins) and throw on error-severity diagnostics */
+    strict?: boolean;
+    /** Severity per rule id for strict mode; 'off' disables the rule (see validate) */
+    rules?: ValidateOptions['rules'];
+    /** Template variables; the content is a template with `${...}`, `$if` and `$for` (see renderTemplate) */
+    data?: TemplateData;
+    /** Record the path of each node, so that errors have the `path` of the failing item; strict mode, templates and source maps always do */
+    paths?: boolean;
+}
+export interface RenderOptions {
+    /** Put block elements on their own indented lines */
+    pretty?: boolean;
+    /** Number of spaces (or the string) used per indentation level in pretty output */
+    indent?: number | string;
+    /** 'html' for HTML5 output, or 'xhtml' for well-formed XML: void elements as `<br />`, boolean attributes as `checked="checked"`, and `xmlns` declarations */
+    mode?: 'html' | 'xhtml';
+    /** How bindings (`@event`, `:prop`, `.prop`) are written: 'error' throws, 'data' writes data- attributes, 'attribute' writes them as they are */
+    bindings?: 'error' | 'data' | 'attribute';
+    /** Attribute prefix for bindings written with `bindings: 'data'` */
+    bindingPrefix?: string;
+    /** Return `{ html, map }`, where the map holds the range of the HTML that each node with a path was rendered to */
+    sourceMap?: boolean;
+    /** Write the path of each element with a path as a `data-yahtml-path` attribute, for debugging */
+    pathAttributes?: boolean;
+}
+export interface YahtmlElementNode {
+    type: 'element';
+    tag: string;
+    /** The `#id` shorthand of the key */
+    id: string;
+    /** The `.class` shorthand of the key */
+    classes: string[];
+    /** Key attributes followed by object notation attributes; `true` for boolean attributes. Bindings keep their prefix (`@click`) */
+    attributes: Record<string, string | true>;
+    children: YahtmlNode[];
+    /** Set by parse with the `paths` option */
+    path?: YahtmlPath;
+}
+export interface YahtmlTextNode {
+    type: 'text';
+    value: string;
+    /** Set by parse with the `paths` option */
+    path?: YahtmlPath;
+}
+export interface YahtmlRawNode {
+    type: 'raw';
+    value: string;
+    /** Set by parse with the `paths` option */
+    path?: YahtmlPath;
+}
+export interface YahtmlCommentNode {
+    type: 'comment';
+    value: string;
+    /** Set by parse with the `paths` option */
+    path?: YahtmlPath;
+}
+export interface YahtmlDoctypeNode {
+    type: 'doctype';
+    value: string;
+    /** Set by parse with the `paths` option */
+    path?: YahtmlPath;
+}
+export type YahtmlNode = YahtmlElementNode | YahtmlTextNode | YahtmlRawNode | YahtmlCommentNode | YahtmlDoctypeNode;
 /**
  * List of HTML5 void elements (self-closing tags)
  * @constant {string[]}
@@ -42,3 +295,33 @@ export function convertToHtml(yahtmlContent: any[]): string;
  * }
  */
 export const SELF_CLOSING_TAGS: string[];
+/**
+ * Namespace URIs of HTML, foreign content (SVG and MathML) and namespaced attributes
+ * @constant {Object<string, string>}
+ * @example
+ * // Create a foreign element with the DOM
+ * document.createElementNS(NAMESPACES.svg, 'path')
+ */
+export const NAMESPACES: {
+    html: string;
+    svg: string;
+    math: string;
+    xlink: string;
+    xml: string;
+    xmlns: string;
+};
+/**
+ * Resolve the namespace of an element from its tag and its parent element
+ *
+ * @param {string} tag - The element tag
+ * @param {{tag: string, namespace: string}|null} [parent] - The parent element tag and namespace, or null at the root
+ * @returns {string} The namespace URI (one of the NAMESPACES values)
+ *
+ * @example
+ * resolveNamespace('path', { tag: 'svg', namespace: NAMESPACES.svg })
+ * // Returns: 'http://www.w3.org/2000/svg'
+ */
+export function resolveNamespace(tag: string, parent?: {
+    tag: string;
+    namespace: string;
+} | null): string;
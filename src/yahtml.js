@@ -1,3 +1,7 @@
+import { sanitize, isAllowedValue, DEFAULT_SANITIZE_POLICY } from './sanitize.js';
+import { validateAst } from './validate.js';
+import { expandComponents } from './components.js';
+
 /**
  * List of HTML5 void elements (self-closing tags)
  * @constant {string[]}
@@ -7,328 +11,2059 @@
  *   // handle self-closing tag
  * }
  */
-export const SELF_CLOSING_TAGS = ['br', 'hr', 'img', 'input', 'meta', 'area', 'base', 'col', 'embed', 'link', 'param', 'source', 'track', 'wbr'];
+export const SELF_CLOSING_TAGS = ['br', 'hr', 'img', 'input', 'meta', 'area', 'base', 'col', 'embed', 'link', 'param', 'source', 'track', 'wbr'];
+
+/**
+ * Namespace URIs of HTML, foreign content (SVG and MathML) and namespaced attributes
+ * @constant {Object<string, string>}
+ * @example
+ * // Create a foreign element with the DOM
+ * document.createElementNS(NAMESPACES.svg, 'path')
+ */
+export const NAMESPACES = {
+  html: 'http://www.w3.org/1999/xhtml',
+  svg: 'http://www.w3.org/2000/svg',
+  math: 'http://www.w3.org/1998/Math/MathML',
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  xmlns: 'http://www.w3.org/2000/xmlns/'
+};
+
+/**
+ * Foreign elements whose children are HTML again (HTML integration points)
+ * @private
+ * @constant {string[]}
+ */
+const HTML_INTEGRATION_POINTS = ['foreignObject', 'desc', 'title', 'mi', 'mo', 'mn', 'ms', 'mtext', 'annotation-xml'];
+
+/**
+ * Inline (phrasing) elements that stay on the same line as their siblings in pretty output
+ * @private
+ * @constant {string[]}
+ */
+const INLINE_TAGS = [
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'button', 'cite', 'code', 'data', 'del', 'dfn',
+  'em', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'mark', 'meter', 'output', 'picture',
+  'progress', 'q', 's', 'samp', 'select', 'small', 'span', 'strong', 'sub', 'sup', 'svg',
+  'textarea', 'time', 'u', 'var', 'wbr'
+];
+
+/**
+ * Elements whose content is never re-indented in pretty output
+ * @private
+ * @constant {string[]}
+ */
+const PREFORMATTED_TAGS = ['pre', 'textarea', 'script', 'style'];
+
+/**
+ * Elements whose text content is written without escaping
+ * @private
+ * @constant {string[]}
+ */
+const RAW_CONTENT_TAGS = ['script', 'style'];
+
+/**
+ * Output modes of render: HTML5 serialization, or well-formed XML
+ * @private
+ * @constant {string[]}
+ */
+const OUTPUT_MODES = ['html', 'xhtml'];
+
+/**
+ * Characters that are not allowed in XML 1.0 documents, including unpaired surrogates
+ * @private
+ * @constant {RegExp}
+ */
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * Attribute name prefixes that declare bindings instead of HTML attributes
+ * - `@event=handler` adds the handler as an event listener
+ * - `:prop=name` sets a property to a value from the handlers map
+ * - `.prop=value` sets a property to the literal value
+ * @private
+ * @constant {Object<string, {type: string, bound: boolean, dataName: string}>}
+ */
+const BINDING_PREFIXES = {
+  '@': { type: 'event', bound: true, dataName: 'on' },
+  ':': { type: 'property', bound: true, dataName: 'bind' },
+  '.': { type: 'property', bound: false, dataName: 'prop' }
+};
+
+/**
+ * Characters allowed in attribute names: anything but whitespace, quotes, `=`, `>` and `/`
+ * @private
+ * @constant {RegExp}
+ */
+const ATTRIBUTE_NAME_CHAR = /[^\s"'=>/]/;
+
+/**
+ * Element-less quoted items (`': "text"'`), which are text even where the text would read as an element
+ * @private
+ * @constant {RegExp}
+ */
+const QUOTED_TEXT = /^: (?:"([^]*)"|'([^]*)')$/;
+
+/**
+ * Variable paths allowed in templates: names and indices separated by dots (e.g. user.name, items.0)
+ * @private
+ * @constant {RegExp}
+ */
+const VARIABLE_PATH = /^[A-Za-z_$][\w$]*(?:\.[\w$]+)*$/;
+
+/**
+ * `$for` keys: `$for item in items` or `$for item, index in items`
+ * @private
+ * @constant {RegExp}
+ */
+const FOR_KEY = /^\$for\s+([A-Za-z_$][\w$]*)(?:\s*,\s*([A-Za-z_$][\w$]*))?\s+in\s+(\S+)$/;
+
+/**
+ * `${expression}` placeholders in template text; a leading `$` (as in `$${`) escapes the placeholder
+ * @private
+ * @constant {RegExp}
+ */
+const PLACEHOLDER = /(\$?)\$\{([^}]*)\}/g;
+
+/**
+ * Scope key that marks a template being compiled rather than rendered with data
+ * @private
+ * @constant {symbol}
+ */
+const TEMPLATE_COMPILER = Symbol('template compiler');
+
+/**
+ * Rendering option key for the source map being recorded: the marker character and the marked nodes
+ * @private
+ * @constant {symbol}
+ */
+const SOURCE_MAP = Symbol('source map');
+
+/**
+ * convertToHtml options that compile does not support
+ * @private
+ * @constant {string[]}
+ */
+const COMPILE_UNSUPPORTED_OPTIONS = ['pretty', 'components', 'plugins', 'strict', 'data', 'sourceMap', 'pathAttributes'];
+
+/**
+ * Convert YAHTML array to HTML string
+ * 
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Conversion options
+ * @param {boolean} [options.pretty=false] - Put block elements on their own indented lines
+ * @param {number|string} [options.indent=2] - Number of spaces (or the string) used per indentation level in pretty output
+ * @param {string} [options.mode='html'] - 'html' for HTML5 output, or 'xhtml' for well-formed XML: void elements as `<br />`, boolean attributes as `checked="checked"`, and `xmlns` declarations
+ * @param {Object<string, Function|Array>} [options.components] - Components expanded right after parsing, before plugins run (see expandComponents)
+ * @param {Array<Function|Object>} [options.plugins] - Plugins that transform the parsed elements before they are rendered (see transform)
+ * @param {string} [options.bindings='error'] - How bindings (`@event`, `:prop`, `.prop`) are written: 'error' throws, 'data' writes data- attributes, 'attribute' writes them as they are (e.g. for Alpine.js)
+ * @param {string} [options.bindingPrefix='data-'] - Attribute prefix for bindings written with `bindings: 'data'`
+ * @param {boolean|Object} [options.sanitize=false] - Remove the elements, attributes and URLs that a policy does not allow, after plugins run; `true` uses DEFAULT_SANITIZE_POLICY (see sanitize)
+ * @param {boolean} [options.strict=false] - Check the content with validate (after plugins) and throw on error-severity diagnostics
+ * @param {Object<string, string>} [options.rules] - Severity per rule id for strict mode: 'error', 'warning' or 'off' (see validate)
+ * @param {Object} [options.data] - Template variables; the content is a template with `${...}`, `$if` and `$for` (see renderTemplate)
+ * @param {boolean} [options.sourceMap=false] - Return `{ html, map }`, where the map relates ranges of the HTML to paths in the content (see render)
+ * @param {boolean} [options.pathAttributes=false] - Write the path of each element in the content as a `data-yahtml-path` attribute, for debugging
+ * @param {boolean} [options.paths=false] - Record the path of each node, so that errors have the `path` of the failing item (see parse).
+ *   Strict mode, templates and source maps always record paths
+ * @returns {string|{html: string, map: Array<{start: number, end: number, type: string, path: Array<string|number>}>}}
+ *   The converted HTML string, or the HTML and its source map with the sourceMap option
+ * @throws {TypeError} If yahtmlContent is not an array
+ * @throws {Error} If element structure is malformed. In strict mode, also if the content is invalid HTML; the error has the `diagnostics`.
+ *   When paths are recorded, the error has the `path` of the failing item
+ * 
+ * @example
+ * // Simple element
+ * convertToHtml(['h1: "Hello World"'])
+ * // Returns: '<h1>Hello World</h1>'
+ * 
+ * @example
+ * // Nested structure with classes and IDs
+ * convertToHtml([
+ *   {
+ *     'div#main.container': [
+ *       'h1: "Title"',
+ *       'p: "Content"'
+ *     ]
+ *   }
+ * ])
+ * // Returns: '<div id="main" class="container"><h1>Title</h1><p>Content</p></div>'
+ * 
+ * @example
+ * // Elements with attributes
+ * convertToHtml([
+ *   'img src="photo.jpg" alt="Photo":',
+ *   'a href="https://example.com": "Link"'
+ * ])
+ * // Returns: '<img src="photo.jpg" alt="Photo"><a href="https://example.com">Link</a>'
+ * 
+ * @example
+ * // Object notation with attributes and children
+ * convertToHtml([
+ *   { a: { href: '/', class: 'nav-link', children: ['Home'] }},
+ *   { div: { 
+ *     class: 'container',
+ *     children: [
+ *       { h1: { id: 'title', children: ['Welcome'] }},
+ *       { p: { children: ['Hello world'] }}
+ *     ]
+ *   }}
+ * ])
+ * // Returns: '<a href="/" class="nav-link">Home</a><div class="container"><h1 id="title">Welcome</h1><p>Hello world</p></div>'
+ * 
+ * @example
+ * // Pretty-printed output
+ * convertToHtml([
+ *   { 'ul.menu': ['li: "Home"', { li: ['a href=/about: "About"'] }] }
+ * ], { pretty: true })
+ * // Returns:
+ * // <ul class="menu">
+ * //   <li>Home</li>
+ * //   <li><a href="/about">About</a></li>
+ * // </ul>
+ * 
+ * @example
+ * // Source map from HTML ranges to paths in the content
+ * convertToHtml([{ 'div#main': ['h1: "Title"'] }], { sourceMap: true })
+ * // Returns: {
+ * //   html: '<div id="main"><h1>Title</h1></div>',
+ * //   map: [
+ * //     { start: 0, end: 35, type: 'element', path: [0] },
+ * //     { start: 15, end: 29, type: 'element', path: [0, 'div#main', 0] },
+ * //     { start: 19, end: 24, type: 'text', path: [0, 'div#main', 0] }
+ * //   ]
+ * // }
+ */
+export function convertToHtml(yahtmlContent, options = {}) {
+  // Template errors are reported with the path of the failing item
+  const paths = Boolean(options.paths || options.strict || options.data !== undefined || options.sourceMap || options.pathAttributes);
+  let ast = parse(yahtmlContent, { paths, data: options.data });
+
+  if (options.components) {
+    ast = expandComponents(ast, options.components);
+  }
+
+  if (options.plugins) {
+    ast = transform(ast, options.plugins);
+  }
+
+  if (options.sanitize) {
+    ast = sanitize(ast, options.sanitize);
+  }
+
+  if (options.strict) {
+    const errors = validateAst(ast, { rules: options.rules }).filter(diagnostic => diagnostic.severity === 'error');
+    if (errors.length > 0) {
+      const error = new Error(`Invalid YAHTML content:\n${errors.map(d => `  ${d.rule} at ${JSON.stringify(d.path)}: ${d.message}`).join('\n')}`);
+      error.diagnostics = errors;
+      throw error;
+    }
+  }
+
+  return render(ast, options);
+}
+
+/**
+ * Render a YAHTML template with data to an HTML string
+ * 
+ * @param {Array} yahtmlContent - The YAHTML template as an array
+ * @param {Object} data - Template variables
+ * @param {Object} [options] - Conversion options; all convertToHtml options are supported
+ * @returns {string|{html: string, map: Array<Object>}} The HTML string, or the HTML and its source map with the sourceMap option
+ * @throws {TypeError} If yahtmlContent is not an array or data is not an object
+ * @throws {Error} If the template is malformed or uses an undefined variable; the error has the path of the failing item
+ * 
+ * @description
+ * Templates are read while parsing, so there is no separate template step:
+ * - `${user.name}` in text and attribute values is replaced with the variable, which is
+ *   escaped like any other text. `null` is written as nothing, and `$${` as a literal `${`
+ * - `{ '$if user.admin': [...], '$elif user.editor': [...], $else: [...] }` renders the
+ *   items of the first true branch. `!` negates a condition; empty arrays are false
+ * - `{ '$for item in items': [...] }` renders the items once per array element, and
+ *   `$for item, index in items` also sets the index
+ * 
+ * Expressions are variable paths such as `user.name` or `items.0`. A variable that is not
+ * defined throws, except for a missing property in a `$if` condition, which is false.
+ * Variables are not written into `script` and `style` content, comments or `!raw` HTML.
+ * 
+ * @example
+ * renderTemplate([
+ *   'h1: "Hello ${user.name}"',
+ *   { '$if items': [{ ul: [{ '$for item in items': ['li: "${item}"'] }] }], $else: ['p: "Nothing yet"'] }
+ * ], { user: { name: 'Ada' }, items: ['<b>', 'Tea'] })
+ * // Returns: '<h1>Hello Ada</h1><ul><li>&lt;b&gt;</li><li>Tea</li></ul>'
+ */
+export function renderTemplate(yahtmlContent, data, options = {}) {
+  // Missing data is rejected here, rather than rendering the template as plain content
+  return convertToHtml(yahtmlContent, { ...options, data: data ?? null });
+}
+
+/**
+ * Compile a YAHTML template to a function that renders it
+ * 
+ * @param {Array} yahtmlContent - The YAHTML template as an array
+ * @param {Object} [options] - Compile options
+ * @param {string} [options.mode='html'] - Output mode, as in convertToHtml
+ * @param {string} [options.bindings='error'] - How bindings are written, as in convertToHtml
+ * @param {string} [options.bindingPrefix='data-'] - Attribute prefix for bindings written with `bindings: 'data'`
+ * @param {boolean|Object} [options.sanitize=false] - Sanitize policy, as in convertToHtml; URLs written from variables are checked when rendering
+ * @param {boolean} [options.module=false] - Return the source code of an ES module whose default export is the render function
+ * @returns {Function|string} `render(data)`, which returns the HTML string that renderTemplate returns for the same
+ *   template and data, or with `module`, the module source code
+ * @throws {TypeError} If yahtmlContent is not an array, or an option compile does not support
+ *   (`pretty`, `components`, `plugins`, `strict` or `data`) is set
+ * @throws {Error} If the template is malformed or uses an expression that is not a variable path; the error has the path of the failing item.
+ *   The render function throws for undefined variables, like renderTemplate
+ * 
+ * @description
+ * The template is parsed and rendered once, and everything that does not depend
+ * on data is kept as string constants. The render function only looks up
+ * variables, tests `$if` conditions and repeats `$for` items, so it is much
+ * faster than renderTemplate for templates rendered many times.
+ * 
+ * Every `$if` branch and `$for` item is compiled, so malformed YAHTML in a branch
+ * throws here even when the branch would not be rendered. Namespace declarations in
+ * XHTML output and the self-closing form of empty `svg` and `math` elements are
+ * decided when compiling, from all branches.
+ * 
+ * The render function is created with `new Function`. Where that is not allowed
+ * (such as under a Content Security Policy without 'unsafe-eval'), compile the
+ * templates at build time with `module: true` and import the generated modules.
+ * 
+ * @example
+ * const card = compile([{ 'article.card': ['h2: "${title}"', { '$for tag in tags': ['span.tag: "${tag}"'] }] }]);
+ * card({ title: 'Tea', tags: ['hot', 'green'] })
+ * // Returns: '<article class="card"><h2>Tea</h2><span class="tag">hot</span><span class="tag">green</span></article>'
+ * 
+ * @example
+ * // At build time
+ * fs.writeFileSync('card.js', compile(template, { module: true }));
+ * // At run time
+ * import card from './card.js';
+ * card({ title: 'Tea', tags: [] });
+ */
+export function compile(yahtmlContent, options = {}) {
+  if (!Array.isArray(yahtmlContent)) {
+    throw new TypeError('YAHTML content must be an array. YAHTML documents always start with an array at the root level.');
+  }
+  const unsupported = COMPILE_UNSUPPORTED_OPTIONS.find(name => options[name]);
+  if (unsupported) {
+    throw new TypeError(`The "${unsupported}" option cannot be used with compile. Use renderTemplate instead.`);
+  }
+
+  const compiler = createCompiler(unusedCharacter(JSON.stringify(yahtmlContent) + (options.bindingPrefix || '')));
+  let ast = parseChildren(yahtmlContent, [], { [TEMPLATE_COMPILER]: compiler });
+  if (options.sanitize) {
+    ast = sanitize(ast, options.sanitize);
+  }
+  const html = render(ast, { mode: options.mode, bindings: options.bindings, bindingPrefix: options.bindingPrefix });
+
+  // Only what the render function needs is kept
+  const renderOptions = { mode: options.mode === 'xhtml' ? 'xhtml' : 'html' };
+  let settings = null;
+  if (options.sanitize) {
+    const policy = options.sanitize === true ? DEFAULT_SANITIZE_POLICY : { ...DEFAULT_SANITIZE_POLICY, ...options.sanitize };
+    settings = { urlAttributes: policy.urlAttributes, protocols: policy.protocols };
+  }
+
+  const renderSource = [
+    'function render(data = {}) {',
+    '  if (!data || typeof data !== \'object\' || Array.isArray(data)) {',
+    '    throw new TypeError(\'Template data must be an object of variables, such as { user: { name: "Ada" } }.\');',
+    '  }',
+    '  const scope0 = data;',
+    '  let html = \'\';',
+    generateCode(buildProgram(html, compiler, settings), 0, '  '),
+    '  return html;',
+    '}'
+  ].join('\n');
+
+  if (options.module) {
+    return [
+      '// Compiled from YAHTML. Do not edit.',
+      `const VARIABLE_PATH = ${VARIABLE_PATH};`,
+      `const PLACEHOLDER = ${PLACEHOLDER};`,
+      `const INVALID_XML_CHARS = ${INVALID_XML_CHARS};`,
+      `const options = ${JSON.stringify(renderOptions)};`,
+      `const settings = ${JSON.stringify(settings)};`,
+      ...[lookupVariable, checkExpression, variableText, interpolate, testCondition, loopItems,
+        escapeHtml, escapeAttribute, xmlSafe, splitClasses, writeAttribute, ...(settings ? [isAllowedValue] : [])].map(helper => helper.toString()),
+      `export default ${renderSource}`
+    ].join('\n\n') + '\n';
+  }
+
+  // The helpers are passed in rather than written out, so this also works when the library is minified
+  const helpers = { escapeHtml, escapeAttribute, xmlSafe, variableText, interpolate, testCondition, loopItems, writeAttribute, isAllowedValue };
+  const createRender = new Function('helpers', 'options', 'settings', `const { ${Object.keys(helpers).join(', ')} } = helpers;\nreturn ${renderSource};`);
+  return createRender(helpers, renderOptions, settings);
+}
+
+/**
+ * Parse YAHTML content into a normalized node tree
+ * 
+ * @param {Array} yahtmlContent - The YAHTML content as an array
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.paths=false] - Record on each node the path of keys and indices that leads to it in yahtmlContent
+ * @param {Object} [options.data] - Template variables; the content is a template with `${...}`, `$if` and `$for` (see renderTemplate)
+ * @returns {Array<Object>} The parsed nodes
+ * @throws {TypeError} If yahtmlContent is not an array, or options.data is not an object
+ * @throws {Error} If element structure is malformed, or a template uses an undefined variable. With `paths`, the error has the path of the failing item
+ * 
+ * @description
+ * Every YAHTML notation (strings, standard notation and object notation) is
+ * normalized to the same node shapes:
+ * - `{ type: 'element', tag, id, classes, attributes, children }`
+ *   - `id` and `classes` hold the `#id` and `.class` shorthand of the key
+ *   - `attributes` is an ordered map of the key attributes followed by object notation attributes.
+ *     Values are strings, or `true` for boolean attributes
+ * - `{ type: 'text', value }` - text content, escaped when rendered
+ * - `{ type: 'raw', value }` - `script` and `style` content, and trusted HTML from `{ '!raw': html }`, rendered as is
+ * - `{ type: 'comment', value }` - a comment from `{ '!--': text }`
+ * - `{ type: 'doctype', value }` - the declared doctype text after `!DOCTYPE` (e.g. 'html'), written as declared
+ * 
+ * Nested arrays are flattened, and null, undefined and empty strings produce no node.
+ * 
+ * With `paths`, each node also has a `path` such as `[1, 'ul', 0]`
+ * (`yahtmlContent[1].ul[0]`). Text written in an element string or as a single
+ * child value has the path of that string or value.
+ * 
+ * @example
+ * parse(['div#main.card title="Hi": "Hello"'])
+ * // Returns: [{
+ * //   type: 'element',
+ * //   tag: 'div',
+ * //   id: 'main',
+ * //   classes: ['card'],
+ * //   attributes: { title: 'Hi' },
+ * //   children: [{ type: 'text', value: 'Hello' }]
+ * // }]
+ */
+export function parse(yahtmlContent, options = {}) {
+  if (!Array.isArray(yahtmlContent)) {
+    throw new TypeError('YAHTML content must be an array. YAHTML documents always start with an array at the root level.');
+  }
+
+  if (options.data !== undefined && (!options.data || typeof options.data !== 'object' || Array.isArray(options.data))) {
+    throw new TypeError('Template data must be an object of variables, such as { user: { name: "Ada" } }.');
+  }
+
+  return parseChildren(yahtmlContent, options.paths ? [] : null, options.data || null);
+}
+
+/**
+ * Render a parsed node tree to an HTML string
+ * 
+ * @param {Array<Object>|Object} ast - The nodes returned by parse, or a single node
+ * @param {Object} [options] - Rendering options (same as convertToHtml)
+ * @param {boolean} [options.pretty=false] - Put block elements on their own indented lines
+ * @param {number|string} [options.indent=2] - Number of spaces (or the string) used per indentation level in pretty output
+ * @param {string} [options.mode='html'] - 'html' for HTML5 output, or 'xhtml' for well-formed XML: void elements as `<br />`, boolean attributes as `checked="checked"`, and `xmlns` declarations
+ * @param {string} [options.bindings='error'] - How bindings (`@event`, `:prop`, `.prop`) are written: 'error' throws, 'data' writes data- attributes, 'attribute' writes them as they are (e.g. for Alpine.js)
+ * @param {string} [options.bindingPrefix='data-'] - Attribute prefix for bindings written with `bindings: 'data'`
+ * @param {boolean} [options.sourceMap=false] - Return `{ html, map }` with the range of the HTML that each node with a path was rendered to
+ * @param {boolean} [options.pathAttributes=false] - Write the path of each element with a path as a `data-yahtml-path` attribute
+ * @returns {string|{html: string, map: Array<{start: number, end: number, type: string, path: Array<string|number>}>}}
+ *   The HTML string, or the HTML and its source map with the sourceMap option
+ * @throws {TypeError} If options.mode is not 'html' or 'xhtml'
+ * @throws {Error} If a node has an unknown type, has bindings that cannot be written, or script or style content contains its own end tag.
+ *   In XHTML mode, also if a comment contains "--"
+ * 
+ * @description
+ * Element attributes are written in this order:
+ * - `id` from the shorthand, unless an `id` attribute overrides it
+ * - `class` with the shorthand classes followed by the classes of a `class` attribute
+ * - The remaining attributes in map order
+ * 
+ * Inside `svg` and `math` elements (foreign content), empty elements are written
+ * self-closing (`<path d="..."/>`) instead of with a closing tag.
+ * 
+ * In XHTML mode, the root `html` element and elements that change namespace (such as
+ * `svg`) get an `xmlns` declaration, `script` and `style` content with `<`, `&` or `]]>` is
+ * wrapped in CDATA, and characters XML does not allow are replaced with U+FFFD.
+ * 
+ * Paths come from parse with the `paths` option. The source map has one entry per
+ * node with a path, in the order the nodes start: `start` and `end` are the offsets
+ * of the node in the HTML (end exclusive, without pretty-print indentation), `type`
+ * is the node type and `path` the node's path. Text written in an element string has
+ * the path of the string, so it follows the entry for its element. Nodes without a
+ * path, such as those added by plugins, have no entry. `data-yahtml-path` holds the
+ * path as JSON (`[0,"div#main",2]`).
+ * 
+ * @example
+ * render([{ type: 'element', tag: 'p', id: '', classes: ['lead'], attributes: {}, children: [
+ *   { type: 'text', value: 'Fish & Chips' }
+ * ]}])
+ * // Returns: '<p class="lead">Fish &amp; Chips</p>'
+ */
+export function render(ast, options = {}) {
+  const nodes = Array.isArray(ast) ? ast : [ast];
+
+  if (options.mode !== undefined && !OUTPUT_MODES.includes(options.mode)) {
+    throw new TypeError(`Unknown output mode "${options.mode}". Use "html" or "xhtml".`);
+  }
+
+  if (options.sourceMap) {
+    return renderWithSourceMap(nodes, options);
+  }
+
+  if (options.pretty) {
+    return renderLines(nodes, options, 0, null).join('\n');
+  }
+
+  return nodes.map(node => renderNode(node, options, 0, null)).join('');
+}
+
+/**
+ * Run plugins over a parsed node tree
+ * 
+ * @param {Array<Object>} ast - The nodes returned by parse
+ * @param {Array<Function|Object>} plugins - The plugins to run, in order
+ * @returns {Array<Object>} The transformed nodes
+ * @throws {TypeError} If plugins is not an array of functions or visitor objects
+ * 
+ * @description
+ * Each plugin walks the whole tree depth-first before the next plugin runs.
+ * A plugin is either a function, which visits element nodes, or a visitor object
+ * with a method per node type (`element`, `text`, `raw`, `comment`, `doctype`).
+ * 
+ * Visitors are called with `(node, { parent, depth })`, where `parent` is the parent
+ * element node or null at the root, and may:
+ * - Mutate the node and return nothing to keep it
+ * - Return a node or an array of nodes to replace it
+ * - Return null or false to remove it
+ * 
+ * Replacement nodes are not visited again by the same plugin, but their children are.
+ * 
+ * @example
+ * // Open external links in a new tab
+ * const externalLinks = (node) => {
+ *   if (node.tag === 'a' && /^https?:/.test(node.attributes.href)) {
+ *     node.attributes.target = '_blank';
+ *     node.attributes.rel = 'noopener';
+ *   }
+ * };
+ * render(transform(parse(['a href=https://example.com: "Example"']), [externalLinks]))
+ * // Returns: '<a href="https://example.com" target="_blank" rel="noopener">Example</a>'
+ */
+export function transform(ast, plugins) {
+  if (!Array.isArray(plugins)) {
+    throw new TypeError('Plugins must be an array of functions or visitor objects.');
+  }
+
+  return plugins.reduce((nodes, plugin) => {
+    if (typeof plugin === 'function') {
+      return visitNodes(nodes, { element: plugin }, null, 0);
+    }
+    if (plugin && typeof plugin === 'object') {
+      return visitNodes(nodes, plugin, null, 0);
+    }
+    throw new TypeError('Plugins must be an array of functions or visitor objects.');
+  }, ast);
+}
+
+/**
+ * Resolve the final attributes of an element node, in output order
+ * 
+ * @param {Object} node - A parsed element node
+ * @returns {Array<[string, string|true]>} Attribute name and value pairs; `true` for boolean attributes
+ * 
+ * @description
+ * Renderers use this to write attributes consistently:
+ * - `id` from the shorthand comes first, unless an `id` attribute overrides it
+ * - `class` joins the shorthand classes and the classes of a `class` attribute, and is omitted when empty
+ * - The remaining attributes follow in map order
+ * 
+ * Bindings (`@event`, `:prop` and `.prop`) are not included.
+ * 
+ * @example
+ * resolveAttributes(parse(['a#home.nav class=active href=/ hidden:'])[0])
+ * // Returns: [['id', 'home'], ['class', 'nav active'], ['href', '/'], ['hidden', true]]
+ */
+export function resolveAttributes(node) {
+  const { id, classes, attributes } = node;
+  const resolved = [];
+
+  if (id && !('id' in attributes)) {
+    resolved.push(['id', id]);
+  }
+
+  // Merge shorthand classes with attribute classes
+  if (classes.length > 0) {
+    resolved.push(['class', [...classes, ...splitClasses(attributes.class)].join(' ')]);
+  }
+
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name[0] in BINDING_PREFIXES) {
+      // Bindings are not HTML attributes (see resolveBindings)
+      continue;
+    } else if (name === 'class') {
+      // Already merged with the shorthand classes
+      const attrClasses = splitClasses(value);
+      if (classes.length === 0 && attrClasses.length > 0) {
+        resolved.push(['class', attrClasses.join(' ')]);
+      }
+    } else {
+      resolved.push([name, value === true ? true : String(value)]);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolve the bindings of an element node against a handlers map
+ * 
+ * @param {Object} node - A parsed element node
+ * @param {Object} [handlers] - Functions and values referenced by `@event` and `:prop` bindings
+ * @returns {Array<{type: string, name: string, value: *}>} Event and property descriptors in attribute order
+ * @throws {Error} If a binding references a name missing from the handlers map, or an event handler is not a function
+ * 
+ * @description
+ * Bindings are attributes whose name starts with a binding prefix:
+ * - `@click=save` becomes `{ type: 'event', name: 'click', value: handlers.save }`
+ * - `:value=userName` becomes `{ type: 'property', name: 'value', value: handlers.userName }`
+ * - `.value=hello` becomes `{ type: 'property', name: 'value', value: 'hello' }`
+ * 
+ * @example
+ * resolveBindings(parse(['button @click=save .disabled: "Save"'])[0], { save })
+ * // Returns: [
+ * //   { type: 'event', name: 'click', value: save },
+ * //   { type: 'property', name: 'disabled', value: true }
+ * // ]
+ */
+export function resolveBindings(node, handlers = {}) {
+  const bindings = [];
+
+  for (const [attrName, value] of Object.entries(node.attributes)) {
+    const binding = BINDING_PREFIXES[attrName[0]];
+    if (!binding) continue;
+
+    const name = attrName.substring(1);
+    if (!binding.bound) {
+      bindings.push({ type: binding.type, name, value });
+      continue;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(handlers, value)) {
+      throw new Error(`Handler "${value}" for "${attrName}" is not defined in the handlers map`);
+    }
+    if (binding.type === 'event' && typeof handlers[value] !== 'function') {
+      throw new Error(`Handler "${value}" for "${attrName}" must be a function`);
+    }
+    bindings.push({ type: binding.type, name, value: handlers[value] });
+  }
+
+  return bindings;
+}
+
+/**
+ * Resolve the namespace of an element from its tag and its parent element
+ * 
+ * @param {string} tag - The element tag
+ * @param {{tag: string, namespace: string}|null} [parent] - The parent element tag and namespace, or null at the root
+ * @returns {string} The namespace URI (one of the NAMESPACES values)
+ * 
+ * @description
+ * `svg` and `math` start foreign content, and their descendants share their
+ * namespace. Children of HTML integration points such as `foreignObject` are
+ * HTML again.
+ * 
+ * @example
+ * resolveNamespace('path', { tag: 'svg', namespace: NAMESPACES.svg })
+ * // Returns: 'http://www.w3.org/2000/svg'
+ * 
+ * @example
+ * resolveNamespace('div', { tag: 'foreignObject', namespace: NAMESPACES.svg })
+ * // Returns: 'http://www.w3.org/1999/xhtml'
+ */
+export function resolveNamespace(tag, parent = null) {
+  if (tag === 'svg') {
+    return NAMESPACES.svg;
+  }
+  if (tag === 'math') {
+    return NAMESPACES.math;
+  }
+  if (!parent || parent.namespace === NAMESPACES.html || HTML_INTEGRATION_POINTS.includes(parent.tag)) {
+    return NAMESPACES.html;
+  }
+  return parent.namespace;
+}
+
+/**
+ * Visit a list of sibling nodes with a plugin
+ * 
+ * @private
+ * @param {Array<Object>} nodes - The sibling nodes
+ * @param {Object} visitor - The plugin as a visitor object
+ * @param {Object|null} parent - The parent element node, or null at the root
+ * @param {number} depth - Nesting depth of the siblings
+ * @returns {Array<Object>} The siblings after removals and replacements
+ */
+function visitNodes(nodes, visitor, parent, depth) {
+  const result = [];
+
+  for (const node of nodes) {
+    let replacement = node;
+
+    const visit = visitor[node.type];
+    if (typeof visit === 'function') {
+      const returned = visit(node, { parent, depth });
+      if (returned === null || returned === false) continue;
+      if (returned !== undefined) {
+        replacement = returned;
+      }
+    }
+
+    for (const item of [replacement].flat()) {
+      if (item.type === 'element') {
+        item.children = visitNodes(item.children, visitor, item, depth + 1);
+      }
+      result.push(item);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a list of YAHTML elements
+ * 
+ * @private
+ * @param {Array} items - The YAHTML elements (nested arrays are flattened)
+ * @param {Array<string|number>|null} path - Path of the list in the YAHTML content, or null when paths are not recorded
+ * @param {Object|null} scope - Template variables, or null when the content is not a template
+ * @returns {Array<Object>} The parsed nodes
+ */
+function parseChildren(items, path, scope) {
+  const nodes = [];
+
+  const parseItems = (list, listPath, listScope) => {
+    list.forEach((item, index) => {
+      const itemPath = listPath && [...listPath, index];
+      if (Array.isArray(item)) {
+        parseItems(item, itemPath, listScope);
+        return;
+      }
+
+      let node;
+      try {
+        if (listScope && listScope[TEMPLATE_COMPILER] && isTemplateBlock(item)) {
+          // Every branch is kept, after the marker that compile turns into a condition or loop
+          const { branches, end } = listScope[TEMPLATE_COMPILER].block(item);
+          for (const branch of branches) {
+            nodes.push({ type: 'text', value: branch.marker });
+            parseItems(branch.items, itemPath && [...itemPath, branch.key], listScope);
+          }
+          nodes.push({ type: 'text', value: end });
+          return;
+        }
+        if (listScope && isTemplateBlock(item)) {
+          for (const block of expandTemplateBlock(item, listScope)) {
+            parseItems(block.items, itemPath && [...itemPath, block.key], block.scope);
+          }
+          return;
+        }
+        node = parseNode(item, itemPath, listScope);
+      } catch (error) {
+        // The innermost failing item sets the path
+        if (itemPath && error.path === undefined) {
+          error.path = itemPath;
+        }
+        throw error;
+      }
+      if (node) {
+        nodes.push(node);
+      }
+    });
+  };
+
+  parseItems(items, path, scope);
+  return nodes;
+}
+
+/**
+ * Record the path of a node when paths are enabled
+ * 
+ * @private
+ * @param {Object} node - A parsed node
+ * @param {Array<string|number>|null} path - Path of the node in the YAHTML content, or null
+ * @returns {Object} The node
+ */
+function withPath(node, path) {
+  if (path) {
+    node.path = path;
+  }
+  return node;
+}
+
+/**
+ * Parse a single YAHTML element
+ * 
+ * @private
+ * @param {*} element - A YAHTML element (can be string, object, number, boolean, null, or undefined)
+ * @param {Array<string|number>|null} path - Path of the element in the YAHTML content, or null
+ * @param {Object|null} scope - Template variables for `${...}` in text and attribute values, or null
+ * @returns {Object|null} The parsed node, or null if the element produces no output
+ * 
+ * @description
+ * Handles various element types:
+ * - null/undefined/empty string: no node
+ * - string: parses as element declaration, element-less quoted text (': "text"') or plain text
+ * - number/boolean: text node
+ * - object: element with attributes and content
+ *   - Standard notation: { tag: content } or { tag: [children] }
+ *   - Object notation: { tag: { attr: value, children: [...] }}, with the values
+ *     read by objectAttributes
+ */
+function parseNode(element, path, scope) {
+  // Handle null, undefined or empty text
+  if (element === null || element === undefined || element === '') {
+    return null;
+  }
+
+  // Handle strings that might be element declarations
+  if (typeof element === 'string') {
+    const quoted = element.match(QUOTED_TEXT);
+    if (quoted) {
+      // Quotes inside are escaped as in element content
+      const text = (quoted[1] ?? quoted[2]).replace(/\\"/g, '"').replace(/\\'/g, "'");
+      return text ? withPath({ type: 'text', value: applyTemplate(text, scope) }, path) : null;
+    }
+
+    const elementObj = parseElementString(element);
+    if (elementObj) {
+      const node = parseNode(elementObj, path, scope);
+      if (path && node.children) {
+        // Content written in the string has the path of the string itself
+        node.children.forEach(child => { child.path = path; });
+      }
+      return node;
+    }
+
+    // Plain text content
+    return withPath({ type: 'text', value: applyTemplate(element, scope) }, path);
+  }
+
+  // Handle numbers/booleans as text content
+  if (typeof element === 'number' || typeof element === 'boolean') {
+    return withPath({ type: 'text', value: String(element) }, path);
+  }
+
+  // Anything else that is not an element declaration produces no output
+  if (typeof element !== 'object' || Array.isArray(element)) {
+    return null;
+  }
+
+  // Check if this is a Date or other built-in object type that shouldn't be used as content
+  if (element instanceof Date) {
+    throw new TypeError('Date objects cannot be used as content. Convert to string first (e.g., date.toISOString() or date.toLocaleDateString())');
+  }
+
+  const key = Object.keys(element)[0];
+
+  // Handle undefined or empty key
+  if (!key) {
+    throw new Error('Malformed YAHTML element: empty element key');
+  }
+
+  const value = element[key];
+
+  // Check if value is a Date object
+  if (value instanceof Date) {
+    throw new TypeError('Date objects cannot be used as element content. Convert to string first (e.g., date.toISOString() or date.toLocaleDateString())');
+  }
+
+  // Handle special case for DOCTYPE
+  const doctypeMatch = key.match(/^(?:"!DOCTYPE(.*)"|!DOCTYPE(.*))$/i);
+  if (doctypeMatch) {
+    const doctype = (doctypeMatch[1] ?? doctypeMatch[2]).trim();
+    if (doctype.includes('>')) {
+      throw new Error(`Malformed YAHTML element: "${key}" - a doctype cannot contain ">"`);
+    }
+    return withPath({ type: 'doctype', value: doctype }, path);
+  }
+
+  // Handle comments and trusted HTML
+  if (key === '!--' || key === '!raw') {
+    return parseSpecialNode(key, value, path);
+  }
+
+  if (key.startsWith('$')) {
+    throw new Error(scope
+      ? `Malformed YAHTML element: "${key}" - template keys must be list items in object form, such as { "$if user.admin": [...] }`
+      : `Malformed YAHTML element: "${key}" - template keys ($if, $for) need data; use renderTemplate or the data option`);
+  }
+
+  // Parse the element key for tag, id, classes, and attributes
+  const { tag, id, classes, attributes: keyAttributes } = parseElementKey(key);
+
+  // Check for malformed elements (no tag name)
+  if (!tag) {
+    throw new Error(`Malformed YAHTML element: "${key}" - element must have a valid tag name`);
+  }
+
+  const attributes = {};
+  for (const attr of keyAttributes) {
+    if (!(attr.name in attributes)) {
+      attributes[attr.name] = attr.value === true ? true : applyTemplate(attr.value, scope, attr.name);
+    }
+  }
+
+  let children = [];
+  const rawContent = RAW_CONTENT_TAGS.includes(tag);
+
+  if (Array.isArray(value)) {
+    // Has children
+    children = parseChildren(value, path && [...path, key], scope);
+  } else if (typeof value === 'object' && value !== null && 'children' in value) {
+    // Object notation - attributes from the key take precedence
+    for (const [name, attrValue] of Object.entries(value)) {
+      if (name === 'children') continue;
+      for (const [attrName, written] of objectAttributes(name, attrValue)) {
+        if (attrName in attributes) continue;
+        attributes[attrName] = written === true ? true : applyTemplate(written, scope, attrName);
+      }
+    }
+
+    const content = value.children;
+    if (Array.isArray(content)) {
+      children = parseChildren(content, path && [...path, key, 'children'], scope);
+    } else if (content !== null && content !== undefined && content !== '') {
+      // Single child value
+      if (content instanceof Date) {
+        throw new TypeError('Date objects cannot be used as element content. Convert to string first (e.g., date.toISOString() or date.toLocaleDateString())');
+      }
+      children = [withPath(contentNode(String(content), rawContent, scope), path && [...path, key, 'children'])];
+    }
+  } else if (value !== null && value !== undefined && value !== '') {
+    // Has text content
+    // Some elements like script and style should not escape their content
+    children = [withPath(contentNode(String(value), rawContent, scope), path && [...path, key])];
+  }
+
+  return withPath({ type: 'element', tag, id, classes, attributes, children }, path);
+}
+
+/**
+ * Turn an object notation attribute into the attributes it writes
+ * 
+ * @private
+ * @param {string} name - The attribute name
+ * @param {*} value - The attribute value
+ * @returns {Array<[string, string|true]>} Attribute name and value pairs; `true` for boolean attributes
+ * @throws {TypeError} If the value is an object or array the attribute does not accept
+ * 
+ * @description
+ * - `false`, `null` and `undefined` leave the attribute out, and `true` writes a boolean attribute
+ * - `class` takes a list and `{ name: condition }` maps, nested in any way; falsy entries are skipped
+ * - `style` takes an object of properties; camelCase names are written in kebab-case
+ * - `data` and `aria` take an object of attributes (`data: { userId: 7 }` writes `data-user-id`).
+ *   `data` objects can be nested, and `aria` booleans are written as "true" and "false"
+ * 
+ * @example
+ * objectAttributes('class', ['btn', { active: true, hidden: false }])
+ * // Returns: [['class', 'btn active']]
+ * 
+ * @example
+ * objectAttributes('style', { fontSize: '12px', '--accent': 'red' })
+ * // Returns: [['style', 'font-size: 12px; --accent: red']]
+ */
+function objectAttributes(name, value) {
+  if (value === false || value === null || value === undefined) {
+    return [];
+  }
+  if (name === 'class' && value !== true) {
+    const classes = classList(value).join(' ');
+    return classes ? [[name, classes]] : [];
+  }
+  if (value === true) {
+    return [[name, true]];
+  }
+
+  if (name === 'style' && isPlainObject(value)) {
+    const declarations = Object.entries(value)
+      .filter(([, propertyValue]) => propertyValue !== false && propertyValue !== null && propertyValue !== undefined && propertyValue !== '')
+      .map(([property, propertyValue]) => `${cssPropertyName(property)}: ${propertyValue}`);
+    return declarations.length > 0 ? [[name, declarations.join('; ')]] : [];
+  }
+  if (name === 'data' && isPlainObject(value)) {
+    return dataAttributes('data', value);
+  }
+  if (name === 'aria' && isPlainObject(value)) {
+    return Object.entries(value).flatMap(([key, ariaValue]) =>
+      objectAttributes(`aria-${key.toLowerCase()}`, typeof ariaValue === 'boolean' ? String(ariaValue) : ariaValue));
+  }
+
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    throw new TypeError(`Attribute "${name}" cannot be ${Array.isArray(value) ? 'an array' : 'an object'}. Only class takes a list or { name: condition } map, and only style, data and aria take objects.`);
+  }
+  return [[name, String(value)]];
+}
+
+/**
+ * Turn a `data` object into `data-*` attributes, joining the keys of nested objects
+ * 
+ * @private
+ * @param {string} prefix - The attribute name so far (e.g. 'data' or 'data-user')
+ * @param {Object} object - The data values
+ * @returns {Array<[string, string|true]>} Attribute name and value pairs
+ * 
+ * @example
+ * dataAttributes('data', { userId: 7, user: { role: 'admin' } })
+ * // Returns: [['data-user-id', '7'], ['data-user-role', 'admin']]
+ */
+function dataAttributes(prefix, object) {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const name = `${prefix}-${kebabCase(key)}`;
+    return isPlainObject(value) ? dataAttributes(name, value) : objectAttributes(name, value);
+  });
+}
+
+/**
+ * Collect the class names of a `class` value in object notation
+ * 
+ * @private
+ * @param {*} value - A string, a list, or a `{ name: condition }` map, nested in any way
+ * @returns {string[]} The class names
+ */
+function classList(value) {
+  if (Array.isArray(value)) {
+    return value.flatMap(classList);
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).filter(key => value[key]).flatMap(splitClasses);
+  }
+  if (typeof value === 'number') {
+    return [String(value)];
+  }
+  return splitClasses(value);
+}
+
+/**
+ * Write a camelCase CSS property name in kebab-case, keeping custom properties as they are
+ * 
+ * @private
+ * @param {string} property - The property name (e.g. 'fontSize', 'WebkitTransition', 'msTransform' or '--accent')
+ * @returns {string} The CSS property name (e.g. 'font-size', '-webkit-transition', '-ms-transform' or '--accent')
+ */
+function cssPropertyName(property) {
+  if (property.startsWith('--')) {
+    return property;
+  }
+  return kebabCase(property).replace(/^ms-/, '-ms-');
+}
+
+/**
+ * Write a camelCase name in kebab-case
+ * 
+ * @private
+ * @param {string} name - The name (e.g. 'userId')
+ * @returns {string} The kebab-case name (e.g. 'user-id')
+ */
+function kebabCase(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Check whether a value is a plain object, such as a mapping loaded from YAML
+ * 
+ * @private
+ * @param {*} value - The value
+ * @returns {boolean} True for objects that are not arrays or dates
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Parse a comment or trusted HTML node
+ * 
+ * @private
+ * @param {string} key - `!--` for a comment, `!raw` for trusted HTML
+ * @param {*} value - The comment text or HTML
+ * @param {Array<string|number>|null} path - Path of the node in the YAHTML content, or null
+ * @returns {Object} The comment or raw node
+ * @throws {Error} If the value is not text, or the comment text would end the comment early
+ * 
+ * @example
+ * parseSpecialNode('!--', 'License: MIT', null)
+ * // Returns: { type: 'comment', value: 'License: MIT' }
+ */
+function parseSpecialNode(key, value, path) {
+  if (typeof value === 'object' && value !== null) {
+    throw new Error(`Malformed YAHTML element: "${key}" - content must be text, not ${Array.isArray(value) ? 'an array' : 'an object'}`);
+  }
+
+  const content = value === null || value === undefined ? '' : String(value);
+  if (key === '!raw') {
+    return withPath({ type: 'raw', value: content }, path);
+  }
+
+  // The HTML parser ends a comment at these sequences
+  if (/^-?>|--!?>|<!-$/.test(content)) {
+    throw new Error(`Malformed YAHTML comment: "${content}" - comment text cannot start with ">" or "->", contain "-->" or "--!>", or end with "<!-"`);
+  }
+  return withPath({ type: 'comment', value: content }, path);
+}
+
+/**
+ * Create the text node for the content of an element, or a raw node for `script` and `style`
+ * 
+ * @private
+ * @param {string} value - The content
+ * @param {boolean} rawContent - Whether the element holds raw content
+ * @param {Object|null} scope - Template variables, or null
+ * @returns {Object} The text or raw node
+ */
+function contentNode(value, rawContent, scope) {
+  // Raw content is never escaped, so template variables are not written into it
+  return rawContent ? { type: 'raw', value } : { type: 'text', value: applyTemplate(value, scope) };
+}
+
+/**
+ * Write template variables into text or an attribute value while parsing
+ * 
+ * @private
+ * @param {string} text - Text or an attribute value
+ * @param {Object|null} scope - Template variables, or null when the content is not a template
+ * @param {string} [attributeName] - The attribute name, when the text is an attribute value
+ * @returns {string} The text with the variables written in; when compiling, with markers in their place
+ */
+function applyTemplate(text, scope, attributeName) {
+  if (!scope) {
+    return text;
+  }
+  const compiler = scope[TEMPLATE_COMPILER];
+  if (compiler) {
+    return attributeName === undefined ? compiler.text(text) : compiler.attribute(attributeName, text);
+  }
+  return interpolate(text, scope);
+}
+
+/**
+ * Check whether an item is a template block (`$if` or `$for`)
+ * 
+ * @private
+ * @param {*} item - A YAHTML item
+ * @returns {boolean} True if the item is an object whose first key starts with `$`
+ */
+function isTemplateBlock(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item) || item instanceof Date) {
+    return false;
+  }
+  const key = Object.keys(item)[0];
+  return key !== undefined && key.startsWith('$');
+}
+
+/**
+ * Read the branches or the loop of a template block
+ * 
+ * @private
+ * @param {Object} block - The template block: `{ '$if cond': [...], '$elif cond': [...], $else: [...] }`
+ *   or `{ '$for item in items': [...] }`
+ * @returns {{type: 'if', branches: Array<{key: string, condition: string, items: Array}>}|
+ *   {type: 'for', key: string, name: string, indexName: string|undefined, expression: string, items: Array}}
+ *   The block; the condition of `$else` is an empty string
+ * @throws {Error} If the block is malformed
+ */
+function readTemplateBlock(block) {
+  const keys = Object.keys(block);
+  const toItems = value => Array.isArray(value) ? value : [value];
+
+  if (keys[0].startsWith('$for')) {
+    const match = keys[0].match(FOR_KEY);
+    if (!match || keys.length > 1) {
+      throw new Error(`Malformed YAHTML template: "${keys.join('", "')}" - write loops as { "$for item in items": [...] } or { "$for item, index in items": [...] }`);
+    }
+    const [key, name, indexName, expression] = match;
+    return { type: 'for', key, name, indexName, expression, items: toItems(block[key]) };
+  }
+
+  const branches = keys.map((key, index) => {
+    const branch = key.match(/^\$(if|elif|else)\b\s*(.*)$/);
+    const kind = branch && branch[1];
+    const valid = branch && (index === 0 ? kind === 'if' : kind !== 'if') &&
+      (kind === 'else' ? !branch[2] && index === keys.length - 1 : Boolean(branch[2]));
+    if (!valid) {
+      throw new Error(`Malformed YAHTML template: "${key}" - conditions start with "$if <variable>", followed by any "$elif <variable>" and an optional final "$else"`);
+    }
+    return { key, condition: branch[2], items: toItems(block[key]) };
+  });
+  return { type: 'if', branches };
+}
+
+/**
+ * Select the items a template block renders, with their variables
+ * 
+ * @private
+ * @param {Object} block - The template block (see readTemplateBlock)
+ * @param {Object} scope - Template variables
+ * @returns {Array<{key: string, items: Array, scope: Object}>} The items to parse, the key they are under, and their variables
+ * @throws {Error} If the block is malformed, or uses an undefined variable
+ * 
+ * @example
+ * expandTemplateBlock({ '$for tag in tags': ['li: "${tag}"'] }, { tags: ['a', 'b'] })
+ * // Returns: [
+ * //   { key: '$for tag in tags', items: ['li: "${tag}"'], scope: { tags: ['a', 'b'], tag: 'a' } },
+ * //   { key: '$for tag in tags', items: ['li: "${tag}"'], scope: { tags: ['a', 'b'], tag: 'b' } }
+ * // ]
+ */
+function expandTemplateBlock(block, scope) {
+  const template = readTemplateBlock(block);
+
+  if (template.type === 'for') {
+    const { key, name, indexName, expression, items } = template;
+    return loopItems(key, expression, scope).map((value, index) => ({
+      key,
+      items,
+      scope: { ...scope, [name]: value, ...(indexName ? { [indexName]: index } : {}) }
+    }));
+  }
+
+  const branch = template.branches.find(({ condition }) => !condition || testCondition(condition, scope));
+  return branch ? [{ key: branch.key, items: branch.items, scope }] : [];
+}
+
+/**
+ * Get the array a `$for` loop repeats its items for
+ * 
+ * @private
+ * @param {string} key - The `$for` key, for error messages
+ * @param {string} expression - The variable path of the array
+ * @param {Object} scope - Template variables
+ * @returns {Array} The array
+ * @throws {Error} If the variable is undefined or not an array
+ */
+function loopItems(key, expression, scope) {
+  const list = lookupVariable(expression, scope);
+  if (!Array.isArray(list)) {
+    throw new TypeError(`Template variable "${expression}" in "${key}" must be an array`);
+  }
+  return list;
+}
+
+/**
+ * Test a `$if` or `$elif` condition
+ * 
+ * @private
+ * @param {string} condition - A variable path, optionally negated with `!`
+ * @param {Object} scope - Template variables
+ * @returns {boolean} Whether the variable is truthy (or falsy when negated); empty arrays are false
+ * @throws {Error} If the variable at the start of the path is not defined
+ */
+function testCondition(condition, scope) {
+  const negated = condition.startsWith('!');
+  const value = lookupVariable(negated ? condition.slice(1).trim() : condition, scope, true);
+  const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  return negated ? !truthy : truthy;
+}
+
+/**
+ * Write template variables into text or an attribute value
+ * 
+ * @private
+ * @param {string} text - Text or an attribute value
+ * @param {Object} scope - Template variables
+ * @returns {string} The text with the variables written in; `$${` is written as a literal `${`
+ * @throws {Error} If a variable is undefined, or is an object or function
+ * 
+ * @example
+ * interpolate('Hello ${user.name}!', { user: { name: '<Ada>' } })
+ * // Returns: 'Hello <Ada>!' (the text is escaped when it is rendered)
+ */
+function interpolate(text, scope) {
+  if (!text.includes('${')) {
+    return text;
+  }
+
+  return text.replace(PLACEHOLDER, (match, escaped, expression) => {
+    return escaped ? match.slice(1) : variableText(expression.trim(), scope);
+  });
+}
+
+/**
+ * Get a template variable as text
+ * 
+ * @private
+ * @param {string} expression - The variable path
+ * @param {Object} scope - Template variables
+ * @returns {string} The value as text; null is empty
+ * @throws {Error} If the variable is undefined, or is an object or function
+ */
+function variableText(expression, scope) {
+  const value = lookupVariable(expression, scope);
+  if (value === null) {
+    return '';
+  }
+  if (typeof value === 'object' || typeof value === 'function') {
+    throw new TypeError(`Template variable "${expression}" is ${Array.isArray(value) ? 'an array' : typeof value === 'function' ? 'a function' : 'an object'} and cannot be written as text`);
+  }
+  return String(value);
+}
+
+/**
+ * Look up a template variable by its path
+ * 
+ * @private
+ * @param {string} expression - The variable path (e.g. 'user.name' or 'items.0')
+ * @param {Object} scope - Template variables
+ * @param {boolean} [optional=false] - Return undefined for missing properties instead of throwing;
+ *   the variable at the start of the path must still be defined
+ * @returns {*} The value
+ * @throws {Error} If the expression is not a variable path, or the variable is undefined
+ */
+function lookupVariable(expression, scope, optional = false) {
+  checkExpression(expression);
+
+  const [name, ...properties] = expression.split('.');
+  if (!Object.prototype.hasOwnProperty.call(scope, name) || scope[name] === undefined) {
+    throw new Error(`Undefined template variable "${name}"${properties.length > 0 ? ` in "${expression}"` : ''}`);
+  }
+
+  let value = scope[name];
+  for (const [index, property] of properties.entries()) {
+    value = value === null || value === undefined ? undefined : value[property];
+    if (value === undefined) {
+      if (optional) {
+        return undefined;
+      }
+      throw new Error(`Undefined template variable "${[name, ...properties.slice(0, index + 1)].join('.')}"`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Check that a template expression is a variable path
+ * 
+ * @private
+ * @param {string} expression - The expression
+ * @throws {Error} If the expression is not a variable path
+ */
+function checkExpression(expression) {
+  if (!VARIABLE_PATH.test(expression)) {
+    throw new Error(`Invalid template expression "${expression}" - only variable paths such as "user.name" or "items.0" are supported`);
+  }
+}
+
+/**
+ * Create the compiler that replaces template syntax with markers while a template is parsed for compile
+ * 
+ * @private
+ * @param {string} character - A character that does not occur in the template, written around the index of each marker
+ * @returns {{parts: Array<Object>, pattern: RegExp, text: Function, attribute: Function, block: Function}} The compiler;
+ *   `parts` holds what each marker stands for, by index, and `pattern` matches a marker, capturing the index
+ */
+function createCompiler(character) {
+  const parts = [];
+  const marker = part => `${character}${parts.push(part) - 1}${character}`;
+
+  return {
+    parts,
+    pattern: new RegExp(`${character}(\\d+)${character}`),
+    // Each variable in text becomes a marker of its own
+    text(text) {
+      return text.replace(PLACEHOLDER, (match, escaped, expression) => {
+        if (escaped) {
+          return match.slice(1);
+        }
+        checkExpression(expression.trim());
+        return marker({ type: 'text', expression: expression.trim() });
+      });
+    },
+    // An attribute value with variables becomes a single marker
+    attribute(name, text) {
+      if (!text.includes('${')) {
+        return text;
+      }
+      for (const [, escaped, expression] of text.matchAll(PLACEHOLDER)) {
+        if (!escaped) {
+          checkExpression(expression.trim());
+        }
+      }
+      return marker({ type: 'attribute', name, template: text });
+    },
+    block(block) {
+      const template = readTemplateBlock(block);
+      const end = marker({ type: 'end' });
+      if (template.type === 'for') {
+        const { key, name, indexName, expression, items } = template;
+        checkExpression(expression);
+        return { branches: [{ key, items, marker: marker({ type: 'for', key, name, indexName, expression }) }], end };
+      }
+      const branches = template.branches.map(({ key, condition, items }, index) => {
+        if (condition) {
+          checkExpression(condition.startsWith('!') ? condition.slice(1).trim() : condition);
+        }
+        return { key, items, marker: marker({ type: 'branch', condition, first: index === 0 }) };
+      });
+      return { branches, end };
+    }
+  };
+}
+
+/**
+ * Split the HTML of a template being compiled into its steps
+ * 
+ * @private
+ * @param {string} html - The HTML rendered with markers
+ * @param {{parts: Array<Object>, pattern: RegExp}} compiler - What each marker stands for, by index, and the pattern
+ *   that matches a marker, capturing the index
+ * @param {Object|null} settings - The URL attributes and protocols of the sanitize policy, or null
+ * @returns {Array<string|Object>} Static HTML strings, and `text`, `attribute`, `if` and `for` steps
+ */
+function buildProgram(html, compiler, settings) {
+  const { parts, pattern } = compiler;
+  const program = [];
+  const blocks = [];
+  let steps = program;
+  let closeQuote = false;
+
+  html.split(pattern).forEach((chunk, index) => {
+    if (index % 2 === 0) {
+      if (closeQuote) {
+        // The closing quote of an attribute written by writeAttribute
+        chunk = chunk.slice(1);
+        closeQuote = false;
+      }
+      if (chunk && typeof steps[steps.length - 1] === 'string') {
+        steps[steps.length - 1] += chunk;
+      } else if (chunk) {
+        steps.push(chunk);
+      }
+      return;
+    }
+
+    const part = parts[Number(chunk)];
+    switch (part.type) {
+      case 'text':
+        steps.push(part);
+        break;
+      case 'attribute': {
+        const { name, template } = part;
+        // Class lists and sanitized URLs may leave the attribute out, so the whole attribute is written when rendering
+        if (name === 'class' || (settings && settings.urlAttributes.includes(name.toLowerCase()))) {
+          const before = steps[steps.length - 1];
+          const start = before.lastIndexOf(` ${name}="`);
+          const classes = before.slice(start + name.length + 3).trimEnd();
+          steps[steps.length - 1] = before.slice(0, start);
+          const checked = settings && settings.urlAttributes.includes(name.toLowerCase());
+          steps.push({ type: 'attribute', name, template, classes, checked, id: Number(chunk) });
+          closeQuote = true;
+        } else {
+          steps.push({ type: 'attribute', template });
+        }
+        break;
+      }
+      case 'branch':
+        if (part.first) {
+          const block = { type: 'if', branches: [] };
+          steps.push(block);
+          blocks.push({ block, steps });
+        }
+        steps = [];
+        blocks[blocks.length - 1].block.branches.push({ condition: part.condition, steps });
+        break;
+      case 'for': {
+        const block = { ...part, steps: [] };
+        steps.push(block);
+        blocks.push({ block, steps });
+        steps = block.steps;
+        break;
+      }
+      case 'end':
+        steps = blocks.pop().steps;
+        break;
+    }
+  });
+
+  return program;
+}
+
+/**
+ * Generate the JavaScript statements that render the steps of a compiled template
+ * 
+ * @private
+ * @param {Array<string|Object>} steps - The steps returned by buildProgram
+ * @param {number} depth - Loop nesting depth; the variables of the current loop are in `scope<depth>`
+ * @param {string} indent - Indentation of the statements
+ * @returns {string} The statements, which add to `html`
+ */
+function generateCode(steps, depth, indent) {
+  const scope = `scope${depth}`;
+
+  return steps.map(step => {
+    if (typeof step === 'string') {
+      return `${indent}html += ${JSON.stringify(step)};`;
+    }
+
+    switch (step.type) {
+      case 'text':
+        return `${indent}html += escapeHtml(xmlSafe(variableText(${JSON.stringify(step.expression)}, ${scope}), options));`;
+      case 'attribute': {
+        const value = `interpolate(${JSON.stringify(step.template)}, ${scope})`;
+        const name = JSON.stringify(step.name);
+        if (step.classes === undefined) {
+          return `${indent}html += escapeAttribute(xmlSafe(${value}, options));`;
+        }
+        if (!step.checked) {
+          return `${indent}html += writeAttribute(${name}, ${JSON.stringify(step.classes)}, ${value}, options);`;
+        }
+        // Sanitized URLs are checked like sanitize checks them, and left out when not allowed
+        return [
+          `${indent}const value${step.id} = ${value};`,
+          `${indent}if (isAllowedValue(settings, ${name}, value${step.id})) {`,
+          `${indent}  html += writeAttribute(${name}, ${JSON.stringify(step.classes)}, value${step.id}, options);`,
+          `${indent}}`
+        ].join('\n');
+      }
+      case 'if': {
+        const lines = step.branches.map(({ condition, steps: branchSteps }, index) => {
+          const test = `testCondition(${JSON.stringify(condition)}, ${scope})`;
+          const opening = index === 0 ? `${indent}if (${test}) {` : condition ? `${indent}} else if (${test}) {` : `${indent}} else {`;
+          return [opening, generateCode(branchSteps, depth, indent + '  ')];
+        });
+        return [...lines.flat(), `${indent}}`].filter(line => line).join('\n');
+      }
+      case 'for': {
+        const inner = depth + 1;
+        const variables = [`...${scope}`, `${step.name}: list${inner}[index${inner}]`, ...(step.indexName ? [`${step.indexName}: index${inner}`] : [])];
+        return [
+          `${indent}for (let index${inner} = 0, list${inner} = loopItems(${JSON.stringify(step.key)}, ${JSON.stringify(step.expression)}, ${scope}); index${inner} < list${inner}.length; index${inner}++) {`,
+          `${indent}  const scope${inner} = { ${variables.join(', ')} };`,
+          generateCode(step.steps, inner, indent + '  '),
+          `${indent}}`
+        ].filter(line => line).join('\n');
+      }
+    }
+  }).filter(line => line).join('\n');
+}
+
+/**
+ * Write an attribute of a compiled template whose value is only known when rendering
+ * 
+ * @private
+ * @param {string} name - The attribute name
+ * @param {string} classes - For `class`, the escaped shorthand classes written before the value, or an empty string
+ * @param {string} value - The attribute value
+ * @param {Object} options - Rendering options
+ * @returns {string} The attribute with a leading space, or an empty string for a `class` without classes
+ */
+function writeAttribute(name, classes, value, options) {
+  if (name === 'class') {
+    // The shorthand classes are already escaped
+    const names = [classes, escapeAttribute(xmlSafe(splitClasses(value).join(' '), options))].filter(c => c).join(' ');
+    return names ? ` class="${names}"` : '';
+  }
+  return ` ${name}="${escapeAttribute(xmlSafe(value, options))}"`;
+}
 
 /**
- * Convert YAHTML array to HTML string
+ * Render a single node
  * 
- * @param {Array} yahtmlContent - The YAHTML content as an array
- * @returns {string} The converted HTML string
- * @throws {TypeError} If yahtmlContent is not an array
- * @throws {Error} If element structure is malformed
+ * @private
+ * @param {Object} node - A parsed node
+ * @param {Object} options - Rendering options passed to render
+ * @param {number} depth - Nesting depth of the node, used for pretty-printed indentation
+ * @param {{tag: string, namespace: string}|null} parent - The parent element tag and namespace, or null at the root
+ * @returns {string} The HTML string for this node
+ * @throws {Error} If the node has an unknown type, or script or style content contains its own end tag.
+ *   The error has the path of the innermost failing node that has one
+ */
+function renderNode(node, options, depth, parent) {
+  try {
+    const sourceMap = options[SOURCE_MAP];
+    if (sourceMap && node.path) {
+      // Marks the start and end of the node, which renderWithSourceMap turns into offsets
+      const index = sourceMap.nodes.push(node) - 1;
+      return `${sourceMap.marker}${index}<${renderNodeContent(node, options, depth, parent)}${sourceMap.marker}>`;
+    }
+    return renderNodeContent(node, options, depth, parent);
+  } catch (error) {
+    // The innermost failing node sets the path
+    if (node.path && error.path === undefined) {
+      error.path = node.path;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Render a single node, without source map markers
  * 
- * @example
- * // Simple element
- * convertToHtml(['h1: "Hello World"'])
- * // Returns: '<h1>Hello World</h1>'
+ * @private
+ * @param {Object} node - A parsed node
+ * @param {Object} options - Rendering options passed to render
+ * @param {number} depth - Nesting depth of the node, used for pretty-printed indentation
+ * @param {{tag: string, namespace: string}|null} parent - The parent element tag and namespace, or null at the root
+ * @returns {string} The HTML string for this node
+ * @throws {Error} If the node has an unknown type, or script or style content contains its own end tag
+ */
+function renderNodeContent(node, options, depth, parent) {
+  switch (node.type) {
+    case 'text':
+      return escapeHtml(xmlSafe(node.value, options));
+    case 'raw':
+      if (parent && RAW_CONTENT_TAGS.includes(parent.tag)) {
+        if (new RegExp(`</${parent.tag}`, 'i').test(node.value)) {
+          throw new Error(`Content of <${parent.tag}> cannot contain "</${parent.tag}", which would end the element early`);
+        }
+        if (options.mode === 'xhtml' && /[<&]|]]>/.test(node.value)) {
+          // Markup characters in script and style are only well-formed XML inside CDATA
+          return `<![CDATA[${xmlSafe(node.value, options).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+        }
+      }
+      return node.value;
+    case 'comment':
+      if (options.mode === 'xhtml' && /--|-$/.test(node.value)) {
+        throw new Error(`Comment "${node.value}" cannot contain "--" or end with "-" in XHTML mode`);
+      }
+      return `<!--${node.value}-->`;
+    case 'doctype':
+      // An empty declaration is the HTML5 doctype
+      return `<!DOCTYPE ${node.value || 'html'}>`;
+    case 'element':
+      return renderElement(node, options, depth, parent);
+    default:
+      throw new Error(`Unknown YAHTML node type: "${node.type}"`);
+  }
+}
+
+/**
+ * Render an element node with its attributes and children
  * 
- * @example
- * // Nested structure with classes and IDs
- * convertToHtml([
- *   {
- *     'div#main.container': [
- *       'h1: "Title"',
- *       'p: "Content"'
- *     ]
- *   }
- * ])
- * // Returns: '<div id="main" class="container"><h1>Title</h1><p>Content</p></div>'
+ * @private
+ * @param {Object} node - A parsed element node
+ * @param {Object} options - Rendering options passed to render
+ * @param {number} depth - Nesting depth of the element
+ * @param {{tag: string, namespace: string}|null} parent - The parent element tag and namespace, or null at the root
+ * @returns {string} The HTML string for this element
+ */
+function renderElement(node, options, depth, parent) {
+  const { tag } = node;
+  const namespace = resolveNamespace(tag, parent);
+
+  // Build opening tag
+  let html = `<${tag}`;
+
+  const xhtml = options.mode === 'xhtml';
+  const attributes = (xhtml ? namespaceDeclarations(node, namespace, parent) : [])
+    .concat(resolveAttributes(node), renderBindingAttributes(node, options));
+  if (options.pathAttributes && node.path) {
+    attributes.push(['data-yahtml-path', JSON.stringify(node.path)]);
+  }
+
+  for (const [name, value] of attributes) {
+    if (value === true) {
+      // Boolean attribute; XML has no attributes without a value
+      html += xhtml ? ` ${name}="${name}"` : ` ${name}`;
+    } else if (value === '') {
+      // Empty string attribute
+      html += ` ${name}=""`;
+    } else {
+      // Regular attribute
+      html += ` ${name}="${escapeAttribute(xmlSafe(value, options))}"`;
+    }
+  }
+
+  if (namespace === NAMESPACES.html) {
+    // Check if it's a self-closing tag
+    if (SELF_CLOSING_TAGS.includes(tag)) {
+      return html + (xhtml ? ' />' : '>');
+    }
+  } else if (node.children.length === 0) {
+    // Empty foreign elements use XML self-closing syntax
+    return html + '/>';
+  }
+
+  html += '>';
+
+  // Content of preformatted elements is kept exactly as written
+  if (options.pretty && PREFORMATTED_TAGS.includes(tag)) {
+    options = { ...options, pretty: false };
+  }
+
+  html += renderChildren(node.children, options, depth, { tag, namespace });
+
+  // Add closing tag
+  html += `</${tag}>`;
+
+  return html;
+}
+
+/**
+ * Get the namespace declarations an element needs in XHTML output
  * 
- * @example
- * // Elements with attributes
- * convertToHtml([
- *   'img src="photo.jpg" alt="Photo":',
- *   'a href="https://example.com": "Link"'
- * ])
- * // Returns: '<img src="photo.jpg" alt="Photo"><a href="https://example.com">Link</a>'
+ * @private
+ * @param {Object} node - A parsed element node
+ * @param {string} namespace - The namespace of the element
+ * @param {{tag: string, namespace: string}|null} parent - The parent element tag and namespace, or null at the root
+ * @returns {Array<[string, string]>} `xmlns` for the root `html` element and for elements that change namespace,
+ *   and `xmlns:xlink` for foreign elements whose subtree uses `xlink:` attributes, unless the element declares them
  * 
  * @example
- * // Object notation with attributes and children
- * convertToHtml([
- *   { a: { href: '/', class: 'nav-link', children: ['Home'] }},
- *   { div: { 
- *     class: 'container',
- *     children: [
- *       { h1: { id: 'title', children: ['Welcome'] }},
- *       { p: { children: ['Hello world'] }}
- *     ]
- *   }}
- * ])
- * // Returns: '<a href="/" class="nav-link">Home</a><div class="container"><h1 id="title">Welcome</h1><p>Hello world</p></div>'
+ * namespaceDeclarations(parse(['svg: ""'])[0], NAMESPACES.svg, { tag: 'p', namespace: NAMESPACES.html })
+ * // Returns: [['xmlns', 'http://www.w3.org/2000/svg']]
  */
-export function convertToHtml(yahtmlContent) {
-  if (!Array.isArray(yahtmlContent)) {
-    throw new TypeError('YAHTML content must be an array. YAHTML documents always start with an array at the root level.');
+function namespaceDeclarations(node, namespace, parent) {
+  const startsNamespace = parent ? namespace !== parent.namespace : (node.tag === 'html' || namespace !== NAMESPACES.html);
+  if (!startsNamespace) {
+    return [];
   }
 
-  return yahtmlContent.map(element => processElement(element)).join('');
+  const declarations = [];
+  if (!('xmlns' in node.attributes)) {
+    declarations.push(['xmlns', namespace]);
+  }
+  if (namespace !== NAMESPACES.html && !('xmlns:xlink' in node.attributes) && usesXlink(node)) {
+    declarations.push(['xmlns:xlink', NAMESPACES.xlink]);
+  }
+  return declarations;
 }
 
 /**
- * Process a single YAHTML element
+ * Check whether an element or its descendants have `xlink:` attributes
  * 
  * @private
- * @param {*} element - A YAHTML element (can be string, object, array, number, boolean, null, or undefined)
- * @returns {string} The HTML string for this element
+ * @param {Object} node - A parsed element node
+ * @returns {boolean} True if an `xlink:` attribute is used
+ */
+function usesXlink(node) {
+  return Object.keys(node.attributes).some(name => name.startsWith('xlink:')) ||
+    node.children.some(child => child.type === 'element' && usesXlink(child));
+}
+
+/**
+ * Replace the characters XML does not allow when rendering XHTML
+ * 
+ * @private
+ * @param {string} text - Text or attribute value
+ * @param {Object} options - Rendering options passed to render
+ * @returns {string} The text, with invalid characters replaced by U+FFFD in XHTML mode
+ */
+function xmlSafe(text, options) {
+  return options.mode === 'xhtml' ? text.replace(INVALID_XML_CHARS, '\uFFFD') : text;
+}
+
+/**
+ * Turn the bindings of an element into attributes for string output
+ * 
+ * @private
+ * @param {Object} node - A parsed element node
+ * @param {Object} options - Rendering options passed to render
+ * @returns {Array<[string, string|true]>} The data- attributes for the bindings
+ * @throws {Error} If the element has bindings and the bindings option is not "data" or "attribute"
  * 
  * @description
- * Handles various element types:
- * - null/undefined: returns empty string
- * - string: parses as element declaration or plain text
- * - number/boolean: converts to escaped text
- * - object: processes as element with attributes and content
- *   - Standard notation: { tag: content } or { tag: [children] }
- *   - Object notation: { tag: { attr: value, children: [...] }}
- * - array: recursively processes nested arrays
+ * HTML strings cannot carry listeners or properties, so bindings are rejected
+ * unless `options.bindings` is `'data'` or `'attribute'`. With `'data'` they are
+ * written as data- attributes named after `options.bindingPrefix` (default `'data-'`):
+ * - `@click=save` becomes `data-on-click="save"`
+ * - `:value=userName` becomes `data-bind-value="userName"`
+ * - `.value=hello` becomes `data-prop-value="hello"`
+ * 
+ * With `'attribute'` they are written unchanged (`@click="save"`), for libraries
+ * such as Alpine.js that read these attributes from the markup.
  */
-function processElement(element) {
-  // Handle null or undefined
-  if (element === null || element === undefined) {
-    return '';
-  }
+function renderBindingAttributes(node, options) {
+  const attributes = [];
 
-  // Handle strings that might be element declarations
-  if (typeof element === 'string') {
-    // Check if this is an element declaration
-    // Pattern is: element_declaration: "content" or element_declaration: content
-    // We need to find the colon that separates the element from content
-    // The element part can contain attributes with = but not : followed by space and quote
-    
-    // First check if string ends with ':' (self-closing/empty element)
-    if (element.endsWith(':')) {
-      const key = element.slice(0, -1).trim();
-      const elementObj = {};
-      elementObj[key] = null;
-      return processElement(elementObj);
+  for (const [attrName, value] of Object.entries(node.attributes)) {
+    const binding = BINDING_PREFIXES[attrName[0]];
+    if (!binding) continue;
+
+    if (options.bindings === 'attribute') {
+      attributes.push([attrName, value === true ? true : String(value)]);
+      continue;
     }
-    
-    // Look for ': "' or ": '" pattern which indicates the start of content
-    let colonIndex = -1;
-    const doubleQuotePattern = ': "';
-    const singleQuotePattern = ": '";
-    
-    const dqIndex = element.indexOf(doubleQuotePattern);
-    const sqIndex = element.indexOf(singleQuotePattern);
-    
-    if (dqIndex >= 0 && (sqIndex < 0 || dqIndex < sqIndex)) {
-      colonIndex = dqIndex;
-    } else if (sqIndex >= 0) {
-      colonIndex = sqIndex;
-    } else {
-      // No quoted content, look for simple ': ' pattern
-      // But only if it's not inside a URL or similar
-      const simpleMatch = element.match(/^([^:]+?):\s+(.*)$/);
-      if (simpleMatch && !simpleMatch[1].includes('//')) {
-        const elementObj = {};
-        elementObj[simpleMatch[1]] = simpleMatch[2];
-        return processElement(elementObj);
-      }
+    if (options.bindings !== 'data') {
+      throw new Error(`Binding "${attrName}" on <${node.tag}> cannot be rendered to an HTML string. Set the bindings option to "data" to write it as a data- attribute, or to "attribute" to write it as is.`);
     }
-    
-    if (colonIndex >= 0) {
-      const key = element.substring(0, colonIndex);
-      const contentStr = element.substring(colonIndex + 2); // Skip ': '
-      
-      // Remove quotes if present
-      let content = contentStr;
-      if ((contentStr.startsWith('"') && contentStr.endsWith('"')) ||
-          (contentStr.startsWith("'") && contentStr.endsWith("'"))) {
-        content = contentStr.slice(1, -1);
-        // Unescape internal quotes
-        content = content.replace(/\\"/g, '"').replace(/\\'/g, "'");
-      }
 
-      const elementObj = {};
-      elementObj[key] = content === '""' || content === "''" ? '' : content;
-      return processElement(elementObj);
-    }
-    
-    // Plain text content
-    return escapeHtml(element);
+    const prefix = options.bindingPrefix ?? 'data-';
+    attributes.push([`${prefix}${binding.dataName}-${attrName.substring(1)}`, value === true ? true : String(value)]);
   }
 
-  // Handle numbers/booleans as text content
-  if (typeof element === 'number' || typeof element === 'boolean') {
-    return escapeHtml(String(element));
-  }
-  
-  // Handle undefined - return empty string
-  if (typeof element === 'undefined') {
-    return '';
+  return attributes;
+}
+
+/**
+ * Split a class attribute value into class names
+ * 
+ * @private
+ * @param {string|boolean|undefined} value - The class attribute value
+ * @returns {string[]} The class names
+ */
+function splitClasses(value) {
+  return typeof value === 'string' ? value.split(' ').filter(c => c) : [];
+}
+
+/**
+ * Render the children of an element
+ * 
+ * @private
+ * @param {Array<Object>} children - The child nodes
+ * @param {Object} options - Rendering options passed to render
+ * @param {number} depth - Nesting depth of the parent element
+ * @param {{tag: string, namespace: string}} parent - The parent element tag and namespace
+ * @returns {string} The HTML string for the children
+ * 
+ * @description
+ * In pretty mode, children that contain a block element are placed on their own
+ * lines one level deeper than the parent, followed by the parent's indentation
+ * for its closing tag. Children that are all inline stay on the parent's line.
+ */
+function renderChildren(children, options, depth, parent) {
+  if (!options.pretty || !children.some(isBlockNode)) {
+    const inlineOptions = options.pretty ? { ...options, pretty: false } : options;
+    return children.map(child => renderNode(child, inlineOptions, depth + 1, parent)).join('');
   }
 
-  // Handle objects (element declarations)
-  if (typeof element === 'object' && !Array.isArray(element)) {
-    // Check if this is a Date or other built-in object type that shouldn't be used as content
-    if (element instanceof Date) {
-      throw new TypeError('Date objects cannot be used as content. Convert to string first (e.g., date.toISOString() or date.toLocaleDateString())');
-    }
-    
-    const key = Object.keys(element)[0];
-    
-    // Handle undefined or empty key
-    if (!key) {
-      throw new Error('Malformed YAHTML element: empty element key');
-    }
-    
-    const value = element[key];
-    
-    // Check if value is a Date object
-    if (value instanceof Date) {
-      throw new TypeError('Date objects cannot be used as element content. Convert to string first (e.g., date.toISOString() or date.toLocaleDateString())');
-    }
+  return '\n' + renderLines(children, options, depth + 1, parent).join('\n') + '\n' + indentation(options, depth);
+}
 
-    // Parse the element key for tag, id, classes, and attributes
-    const { tag, id, classes, attributes } = parseElementKey(key);
+/**
+ * Render sibling nodes as indented lines for pretty output
+ * 
+ * @private
+ * @param {Array<Object>} nodes - The sibling nodes
+ * @param {Object} options - Rendering options passed to render
+ * @param {number} depth - Nesting depth of the siblings
+ * @param {{tag: string, namespace: string}|null} parent - The parent element tag and namespace, or null at the root
+ * @returns {string[]} One line per block element or run of inline content
+ */
+function renderLines(nodes, options, depth, parent) {
+  const lines = [];
+  const pad = indentation(options, depth);
+  let inline = '';
 
-    // Handle special case for DOCTYPE
-    if (key.startsWith('"!DOCTYPE') || key.startsWith('!DOCTYPE')) {
-      return '<!DOCTYPE html>';
+  const flushInline = () => {
+    const text = trimInline(inline, options);
+    if (hasOutput(text, options)) {
+      lines.push(pad + text);
     }
+    inline = '';
+  };
 
-    // Check for malformed elements (no tag name)
-    if (!tag) {
-      throw new Error(`Malformed YAHTML element: "${key}" - element must have a valid tag name`);
+  for (const node of nodes) {
+    if (isBlockNode(node)) {
+      flushInline();
+      lines.push(pad + renderNode(node, options, depth, parent));
+    } else {
+      inline += renderNode(node, { ...options, pretty: false }, depth, parent);
     }
+  }
+  flushInline();
 
-    // Build opening tag
-    let html = `<${tag}`;
+  return lines;
+}
 
-    // Add id if present
-    if (id) {
-      html += ` id="${id}"`;
-    }
+/**
+ * Check whether a node renders as a block in pretty output
+ * 
+ * @private
+ * @param {Object} node - A parsed node
+ * @returns {boolean} True for doctypes and elements whose tag is not an inline tag
+ */
+function isBlockNode(node) {
+  return node.type === 'doctype' || (node.type === 'element' && !INLINE_TAGS.includes(node.tag));
+}
 
-    // Add classes if present
-    if (classes.length > 0 || attributes.some(attr => attr.name === 'class')) {
-      // Check if there's also a class attribute
-      const classAttr = attributes.find(attr => attr.name === 'class');
-      if (classAttr) {
-        // Merge shorthand classes with attribute classes
-        const attrClasses = classAttr.value.split(' ').filter(c => c);
-        const allClasses = [...classes, ...attrClasses];
-        if (allClasses.length > 0) {
-          html += ` class="${allClasses.join(' ')}"`;
-        }
-        // Remove the class attribute from attributes array since we've handled it
-        attributes.splice(attributes.indexOf(classAttr), 1);
-      } else if (classes.length > 0) {
-        html += ` class="${classes.join(' ')}"`;
-      }
-    }
+/**
+ * Get the indentation string for a nesting depth
+ * 
+ * @private
+ * @param {Object} options - Rendering options passed to render
+ * @param {number} depth - Nesting depth
+ * @returns {string} The indentation
+ */
+function indentation(options, depth) {
+  const unit = typeof options.indent === 'string' ? options.indent : ' '.repeat(options.indent ?? 2);
+  return unit.repeat(depth);
+}
 
-    // Add other attributes
-    for (const attr of attributes) {
-      if (attr.name === 'id') {
-        // id attribute overrides shorthand
-        html = html.replace(/ id="[^"]*"/, '');
-        html += ` id="${attr.value}"`;
-      } else if (attr.name === 'class') {
-        // Already handled above
-        continue;
-      } else if (attr.value === true) {
-        // Boolean attribute
-        html += ` ${attr.name}`;
-      } else if (attr.value === '') {
-        // Empty string attribute
-        html += ` ${attr.name}=""`;
-      } else {
-        // Regular attribute
-        html += ` ${attr.name}="${escapeAttribute(attr.value)}"`;
-      }
-    }
+/**
+ * Render nodes with source map markers and read the markers back as a source map
+ * 
+ * @private
+ * @param {Array<Object>} nodes - The nodes to render
+ * @param {Object} options - Rendering options passed to render
+ * @returns {{html: string, map: Array<{start: number, end: number, type: string, path: Array<string|number>}>}}
+ *   The HTML and its source map (see render)
+ * 
+ * @description
+ * Nodes with a path are wrapped in a start marker with the node's index and an end
+ * marker, using a private-use character that does not occur in the content or the
+ * options, so the markers cannot be confused with rendered text.
+ */
+function renderWithSourceMap(nodes, options) {
+  const sourceMap = {
+    marker: unusedCharacter(JSON.stringify(nodes) + indentation(options, 1) + (options.bindingPrefix || '')),
+    nodes: []
+  };
+  const marked = render(nodes, { ...options, sourceMap: false, [SOURCE_MAP]: sourceMap });
+  return readSourceMap(marked, sourceMap);
+}
 
-    // Handle object notation attributes before closing tag
-    if (typeof value === 'object' && value !== null && 'children' in value) {
-      // Extract attributes from the object (excluding 'children')
-      for (const [attrName, attrValue] of Object.entries(value)) {
-        if (attrName === 'children') continue;
-        
-        // Check if this attribute was already added from the key
-        const existingAttr = html.match(new RegExp(` ${attrName}="[^"]*"`));
-        if (!existingAttr) {
-          if (attrValue === true) {
-            // Boolean attribute
-            html += ` ${attrName}`;
-          } else if (attrValue === '') {
-            // Empty string attribute
-            html += ` ${attrName}=""`;
-          } else {
-            // Regular attribute
-            html += ` ${attrName}="${escapeAttribute(String(attrValue))}"`;
-          }
-        }
-      }
+/**
+ * Find a private-use character that does not occur in a string, to mark places in rendered HTML
+ * 
+ * @private
+ * @param {string} text - The string
+ * @returns {string} The first character from U+E000 to U+F8FF that is not in the string
+ * @throws {Error} If the string contains every private-use character
+ */
+function unusedCharacter(text) {
+  for (let code = 0xE000; code <= 0xF8FF; code++) {
+    const character = String.fromCharCode(code);
+    if (!text.includes(character)) {
+      return character;
     }
+  }
+  throw new Error('The content uses every private-use character, so no character is left to mark the HTML with');
+}
 
-    // Check if it's a self-closing tag
-    if (SELF_CLOSING_TAGS.includes(tag)) {
-      html += '>';
-      return html;
+/**
+ * Remove source map markers from rendered HTML and record the range of each marked node
+ * 
+ * @private
+ * @param {string} marked - HTML with source map markers
+ * @param {{marker: string, nodes: Array<Object>}} sourceMap - The marker character and the marked nodes
+ * @returns {{html: string, map: Array<{start: number, end: number, type: string, path: Array<string|number>}>}}
+ *   The HTML and its source map, in the order the nodes start
+ */
+function readSourceMap(marked, sourceMap) {
+  const { marker, nodes } = sourceMap;
+  const markers = new RegExp(`${marker}(?:(\\d+)<|>)`, 'g');
+  const map = [];
+  const open = [];
+  let html = '';
+  let last = 0;
+  let match;
+
+  while ((match = markers.exec(marked)) !== null) {
+    html += marked.slice(last, match.index);
+    last = markers.lastIndex;
+    if (match[1] !== undefined) {
+      const node = nodes[Number(match[1])];
+      const mapping = { start: html.length, end: html.length, type: node.type, path: node.path };
+      map.push(mapping);
+      open.push(mapping);
+    } else {
+      open.pop().end = html.length;
     }
+  }
 
-    html += '>';
+  return { html: html + marked.slice(last), map };
+}
 
-    // Process children or content
-    if (Array.isArray(value)) {
-      // Has children - flatten any nested arrays
-      const flattenChildren = (arr) => {
-        return arr.map(child => {
-          if (Array.isArray(child)) {
-            // Recursively flatten nested arrays
-            return flattenChildren(child);
-          }
-          return processElement(child);
-        }).join('');
-      };
-      html += flattenChildren(value);
-    } else if (typeof value === 'object' && value !== null && 'children' in value) {
-      // Object notation with children - attributes already handled above
-      // Process children
-      const children = value.children;
-      if (Array.isArray(children)) {
-        const flattenChildren = (arr) => {
-          return arr.map(child => {
-            if (Array.isArray(child)) {
-              return flattenChildren(child);
-            }
-            return processElement(child);
-          }).join('');
-        };
-        html += flattenChildren(children);
-      } else if (children !== null && children !== undefined && children !== '') {
-        // Single child value
-        if (children instanceof Date) {
-          throw new TypeError('Date objects cannot be used as element content. Convert to string first (e.g., date.toISOString() or date.toLocaleDateString())');
-        }
-        const rawContentTags = ['script', 'style'];
-        if (rawContentTags.includes(tag)) {
-          html += String(children);
-        } else {
-          html += escapeHtml(String(children));
-        }
-      }
-    } else if (value !== null && value !== undefined && value !== '') {
-      // Has text content
-      // Some elements like script and style should not escape their content
-      const rawContentTags = ['script', 'style'];
-      if (rawContentTags.includes(tag)) {
-        html += String(value);
-      } else {
-        html += escapeHtml(String(value));
-      }
-    } else if (value === undefined) {
-      // Don't output 'undefined' as text
-      // Just leave element empty
-    }
+/**
+ * Trim a run of inline content for pretty output, keeping source map markers
+ * 
+ * @private
+ * @param {string} inline - The rendered inline content
+ * @param {Object} options - Rendering options passed to render
+ * @returns {string} The content without leading and trailing whitespace
+ */
+function trimInline(inline, options) {
+  const sourceMap = options[SOURCE_MAP];
+  if (!sourceMap) {
+    return inline.trim();
+  }
+  // Whitespace between the markers at either end is trimmed as well
+  const edge = `(?:${sourceMap.marker}(?:\\d+<|>)|\\s)*`;
+  const strip = text => text.replace(new RegExp(`${sourceMap.marker}(?:\\d+<|>)|\\s`, 'g'), m => /\s/.test(m) ? '' : m);
+  return inline
+    .replace(new RegExp(`^${edge}`), strip)
+    .replace(new RegExp(`${edge}$`), strip);
+}
 
-    // Add closing tag
-    html += `</${tag}>`;
+/**
+ * Check whether trimmed inline content renders anything besides source map markers
+ * 
+ * @private
+ * @param {string} text - The trimmed inline content
+ * @param {Object} options - Rendering options passed to render
+ * @returns {boolean} True if the content is not empty
+ */
+function hasOutput(text, options) {
+  const sourceMap = options[SOURCE_MAP];
+  return Boolean(sourceMap ? text.replace(new RegExp(`${sourceMap.marker}(?:\\d+<|>)`, 'g'), '') : text);
+}
 
-    return html;
+/**
+ * Read a YAHTML string as an element declaration
+ * 
+ * @private
+ * @param {string} element - A YAHTML string (e.g. 'h1: "Title"', 'br:' or plain text)
+ * @returns {Object|null} The element in object form ({ key: content }), or null if the string is plain text
+ * 
+ * @example
+ * parseElementString('a href="/": "Home"')
+ * // Returns: { 'a href="/"': 'Home' }
+ * 
+ * @example
+ * parseElementString('Just some text')
+ * // Returns: null
+ */
+function parseElementString(element) {
+  // Check if this is an element declaration
+  // Pattern is: element_declaration: "content" or element_declaration: content
+  // We need to find the colon that separates the element from content
+  // The element part can contain attributes with = but not : followed by space and quote
+  
+  // First check if string ends with ':' (self-closing/empty element)
+  if (element.endsWith(':')) {
+    const key = element.slice(0, -1).trim();
+    const elementObj = {};
+    elementObj[key] = null;
+    return elementObj;
+  }
+  
+  // Look for ': "' or ": '" pattern which indicates the start of content
+  let colonIndex = -1;
+  const doubleQuotePattern = ': "';
+  const singleQuotePattern = ": '";
+  
+  const dqIndex = element.indexOf(doubleQuotePattern);
+  const sqIndex = element.indexOf(singleQuotePattern);
+  
+  if (dqIndex >= 0 && (sqIndex < 0 || dqIndex < sqIndex)) {
+    colonIndex = dqIndex;
+  } else if (sqIndex >= 0) {
+    colonIndex = sqIndex;
+  } else {
+    // No quoted content, look for simple ': ' pattern
+    // But only if it's not inside a URL or similar. Colons are allowed in
+    // the #id and .class shorthand (e.g. Tailwind variants like .md:flex)
+    const simpleMatch = element.match(/^([^:]+?|[\w-]+(?:[#.][\w:/-]+)+(?:\s[^:]*?)?):\s+(.*)$/);
+    if (simpleMatch && !simpleMatch[1].includes('//')) {
+      const elementObj = {};
+      elementObj[simpleMatch[1]] = simpleMatch[2];
+      return elementObj;
+    }
   }
+  
+  if (colonIndex >= 0) {
+    const key = element.substring(0, colonIndex);
+    const contentStr = element.substring(colonIndex + 2); // Skip ': '
+    
+    // Remove quotes if present
+    let content = contentStr;
+    if ((contentStr.startsWith('"') && contentStr.endsWith('"')) ||
+        (contentStr.startsWith("'") && contentStr.endsWith("'"))) {
+      content = contentStr.slice(1, -1);
+      // Unescape internal quotes
+      content = content.replace(/\\"/g, '"').replace(/\\'/g, "'");
+    }
 
-  return '';
+    const elementObj = {};
+    elementObj[key] = content === '""' || content === "''" ? '' : content;
+    return elementObj;
+  }
+  
+  // Plain text content
+  return null;
 }
 
 /**
@@ -337,13 +2072,18 @@ function processElement(element) {
  * @private
  * @param {string} key - The element key string (e.g., "div#id.class1.class2 attr=value")
  * @returns {{tag: string, id: string, classes: string[], attributes: Array<{name: string, value: string|boolean}>}} Parsed components
+ * @throws {Error} If the attributes cannot be read (e.g. a stray quote or an unterminated quoted value),
+ *   or the shorthand has a second #id or characters that are not part of an id or class
  * 
  * @description
  * Parses YAHTML element declarations:
- * - Tag name: alphanumeric characters and hyphens
+ * - Tag name: alphanumeric characters, underscores and hyphens
  * - ID: preceded by # (e.g., #my-id)
- * - Classes: preceded by . (e.g., .class1.class2)
- * - Attributes: key=value pairs (quoted or unquoted)
+ * - Classes: preceded by . (e.g., .class1.class2 or Tailwind variants such as .md:flex and .w-1/2)
+ * - Attributes: key=value pairs (quoted or unquoted). Names follow the HTML grammar:
+ *   any characters except whitespace, quotes, `=`, `>` and `/` (e.g. viewBox,
+ *   xlink:href, x-on:click, hx-on::after-request, _hyperscript)
+ * - Bindings: @event=handler, :prop=name and .prop=value, kept as attributes with the prefix in their name
  * 
  * @example
  * parseElementKey('div#main.container.active class="extra" data-id=123')
@@ -358,6 +2098,7 @@ function processElement(element) {
  * // }
  */
 function parseElementKey(key) {
+  const source = key;
   let tag = '';
   let id = '';
   let classes = [];
@@ -385,11 +2126,13 @@ function parseElementKey(key) {
       while (pos < attrString.length && /\s/.test(attrString[pos])) pos++;
       if (pos >= attrString.length) break;
 
-      // Get attribute name
+      // Get attribute name, including any binding prefix (@event, :prop, .prop)
       let nameStart = pos;
-      while (pos < attrString.length && /[a-zA-Z-]/.test(attrString[pos])) pos++;
+      while (pos < attrString.length && ATTRIBUTE_NAME_CHAR.test(attrString[pos])) pos++;
       let attrName = attrString.substring(nameStart, pos);
-      if (!attrName) break;
+      if (!attrName || attrName in BINDING_PREFIXES) {
+        throw new Error(`Malformed YAHTML element: "${source}" - cannot read an attribute name at "${attrString.substring(nameStart)}"`);
+      }
 
       // Check for = sign
       if (attrString[pos] === '=') {
@@ -401,15 +2144,21 @@ function parseElementKey(key) {
           pos++; // skip opening quote
           let valueStart = pos;
           while (pos < attrString.length && attrString[pos] !== '"') pos++;
+          if (pos >= attrString.length) {
+            throw new Error(`Malformed YAHTML element: "${source}" - unterminated quoted value for attribute "${attrName}"`);
+          }
           attrValue = attrString.substring(valueStart, pos);
-          if (attrString[pos] === '"') pos++; // skip closing quote
+          pos++; // skip closing quote
         } else if (attrString[pos] === "'") {
           // Quoted value with single quotes
           pos++; // skip opening quote
           let valueStart = pos;
           while (pos < attrString.length && attrString[pos] !== "'") pos++;
+          if (pos >= attrString.length) {
+            throw new Error(`Malformed YAHTML element: "${source}" - unterminated quoted value for attribute "${attrName}"`);
+          }
           attrValue = attrString.substring(valueStart, pos);
-          if (attrString[pos] === "'") pos++; // skip closing quote
+          pos++; // skip closing quote
         } else {
           // Unquoted value - read until whitespace or colon at end
           let valueStart = pos;
@@ -431,28 +2180,33 @@ function parseElementKey(key) {
 
   // Now parse the tag#id.class part
   // Check if this looks like an attribute (contains =) before any # or .
-  if (remainingKey.includes('=') && !remainingKey.match(/^[a-zA-Z0-9-]+[#.]/)) {
+  if (remainingKey.includes('=') && !remainingKey.match(/^[\w-]+[#.]/)) {
     // This starts with an attribute, not a tag - invalid
-    tag = '';
-  } else {
-    const tagMatch = remainingKey.match(/^([a-zA-Z0-9-]+)/);
-    if (tagMatch) {
-      tag = tagMatch[1];
-      remainingKey = remainingKey.substring(tag.length);
-    }
+    return { tag: '', id, classes, attributes };
   }
 
-  // Extract ID
-  const idMatch = remainingKey.match(/#([a-zA-Z0-9-]+)/);
-  if (idMatch) {
-    id = idMatch[1];
+  const tagMatch = remainingKey.match(/^([\w-]+)/);
+  if (tagMatch) {
+    tag = tagMatch[1];
+    remainingKey = remainingKey.substring(tag.length);
   }
 
-  // Extract classes
-  const classRegex = /\.([a-zA-Z0-9-]+)/g;
-  let classMatch;
-  while ((classMatch = classRegex.exec(remainingKey)) !== null) {
-    classes.push(classMatch[1]);
+  // The rest of the shorthand is #id and .class parts, with nothing left over
+  const partRegex = /([#.])([\w:/-]+)/y;
+  let consumed = 0;
+  let part;
+  while ((part = partRegex.exec(remainingKey)) !== null) {
+    consumed = partRegex.lastIndex;
+    if (part[1] === '.') {
+      classes.push(part[2]);
+    } else if (id) {
+      throw new Error(`Malformed YAHTML element: "${source}" - an element can only have one #id`);
+    } else {
+      id = part[2];
+    }
+  }
+  if (consumed < remainingKey.length) {
+    throw new Error(`Malformed YAHTML element: "${source}" - cannot read the shorthand at "${remainingKey.substring(consumed)}"`);
   }
 
   return { tag, id, classes, attributes };
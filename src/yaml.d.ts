@@ -0,0 +1,43 @@
+import type { ConvertOptions, SourceMapResult } from "./yahtml.js";
+/**
+ * Error thrown by convertYamlToHtml, with the position of the offending source
+ */
+export class YahtmlSourceError extends Error {
+    constructor(message: string, details: {
+        filename: string;
+        line: number;
+        column: number;
+        frame: string;
+        cause: Error;
+    });
+    /** The file name passed to convertYamlToHtml */
+    filename: string;
+    /** One-based line of the offending element */
+    line: number;
+    /** One-based column of the offending element */
+    column: number;
+    /** The source lines around the position, with a marker under the column */
+    frame: string;
+    /** The original error from the YAML parser or the converter */
+    cause: Error;
+}
+/**
+ * Convert YAHTML source text to HTML, reporting errors with source positions
+ *
+ * @param {string} sourceText - The YAHTML document as YAML text
+ * @param {Object} [options] - Conversion options; all convertToHtml options are supported
+ * @param {string} [options.filename='<input>'] - File name used in error messages
+ * @returns {string|{html: string, map: Array<Object>}} The converted HTML string, or the HTML and its source map with the sourceMap option
+ * @throws {TypeError} If sourceText is not a string
+ * @throws {YahtmlSourceError} If the YAML is invalid or the content cannot be converted
+ *
+ * @example
+ * convertYamlToHtml('- div.card:\n  - \'p: "Hello"\'\n')
+ * // Returns: '<div class="card"><p>Hello</p></div>'
+ */
+export function convertYamlToHtml(sourceText: string, options: YamlConvertOptions & { sourceMap: true }): SourceMapResult;
+export function convertYamlToHtml(sourceText: string, options?: YamlConvertOptions): string;
+export interface YamlConvertOptions extends ConvertOptions {
+    /** File name used in error messages */
+    filename?: string;
+}
@@ -0,0 +1,193 @@
+import yaml from 'js-yaml';
+import { convertToHtml } from './yahtml.js';
+
+/**
+ * Number of source lines shown before and after the error line in a code frame
+ * @private
+ * @constant {number}
+ */
+const FRAME_CONTEXT_LINES = 2;
+
+/**
+ * Error thrown by convertYamlToHtml, with the position of the offending source
+ *
+ * @property {string} filename - The file name passed to convertYamlToHtml
+ * @property {number} line - One-based line of the offending element
+ * @property {number} column - One-based column of the offending element
+ * @property {string} frame - The source lines around the position, with a marker under the column
+ * @property {Error} cause - The original error from the YAML parser or the converter
+ */
+export class YahtmlSourceError extends Error {
+  constructor(message, { filename, line, column, frame, cause }) {
+    super(`${filename}:${line}:${column}: ${message}`);
+    this.name = 'YahtmlSourceError';
+    this.filename = filename;
+    this.line = line;
+    this.column = column;
+    this.frame = frame;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Convert YAHTML source text to HTML, reporting errors with source positions
+ *
+ * @param {string} sourceText - The YAHTML document as YAML text
+ * @param {Object} [options] - Conversion options; all convertToHtml options are supported
+ * @param {string} [options.filename='<input>'] - File name used in error messages
+ * @returns {string|{html: string, map: Array<Object>}} The converted HTML string, or the HTML and its source map with the sourceMap option
+ * @throws {TypeError} If sourceText is not a string
+ * @throws {YahtmlSourceError} If the YAML is invalid or the content cannot be converted
+ *
+ * @description
+ * The YAML is parsed while recording where each element starts. When parsing or
+ * converting fails, the error points at the failing element (from the error's
+ * `path`, or in strict mode the path of the first diagnostic), and carries
+ * `filename`, `line`, `column` and a `frame` showing the surrounding source. The error message starts with `filename:line:column:`.
+ *
+ * With the `sourceMap` option, each entry of the map also has the one-based `line`
+ * and `column` where the node's item starts in the source.
+ *
+ * @example
+ * convertYamlToHtml('- div.card:\n  - \'p: "Hello"\'\n')
+ * // Returns: '<div class="card"><p>Hello</p></div>'
+ *
+ * @example
+ * try {
+ *   convertYamlToHtml(source, { filename: 'pages/index.yaml' });
+ * } catch (error) {
+ *   console.error(error.message); // pages/index.yaml:5:9: Malformed YAHTML element: ...
+ *   console.error(error.frame);
+ *   //   4 |       - 'p: "ok"'
+ *   // > 5 |       - "a href='/home: Home"
+ *   //     |         ^
+ * }
+ */
+export function convertYamlToHtml(sourceText, options = {}) {
+  if (typeof sourceText !== 'string') {
+    throw new TypeError('YAHTML source must be a string.');
+  }
+
+  const { filename = '<input>', ...convertOptions } = options;
+  const fail = (message, position, cause) => new YahtmlSourceError(message, {
+    filename,
+    line: position.line + 1,
+    column: position.column + 1,
+    frame: codeFrame(sourceText, position),
+    cause
+  });
+
+  // Start positions of the items of every sequence in the document
+  const itemPositions = new Map();
+  const frames = [];
+  let content;
+
+  try {
+    content = yaml.load(sourceText, {
+      filename,
+      listener(eventType, state) {
+        if (eventType === 'open') {
+          frames.push({ line: state.line, column: state.position - state.lineStart, children: [] });
+          return;
+        }
+        const frame = frames.pop();
+        if (Array.isArray(state.result) && frame.children.length === state.result.length) {
+          itemPositions.set(state.result, frame.children);
+        }
+        if (frames.length > 0) {
+          frames[frames.length - 1].children.push({ line: frame.line, column: frame.column });
+        }
+      }
+    });
+  } catch (error) {
+    if (error instanceof yaml.YAMLException && error.mark) {
+      throw fail(error.reason, error.mark, error);
+    }
+    throw error;
+  }
+
+  try {
+    // Paths let errors point at the failing item
+    const result = convertToHtml(content, { ...convertOptions, paths: true });
+    if (convertOptions.sourceMap) {
+      for (const mapping of result.map) {
+        const position = sourcePosition(content, mapping.path, itemPositions);
+        if (position) {
+          mapping.line = position.line + 1;
+          mapping.column = position.column + 1;
+        }
+      }
+    }
+    return result;
+  } catch (error) {
+    const path = error.path || (error.diagnostics && error.diagnostics[0].path);
+    const position = (path && sourcePosition(content, path, itemPositions)) || { line: 0, column: 0 };
+    throw fail(error.message, position, error);
+  }
+}
+
+/**
+ * Find the source position of the item a path leads to
+ *
+ * @private
+ * @param {*} content - The YAHTML content, as loaded from YAML
+ * @param {Array<string|number>} path - A path of keys and indices in the content
+ * @param {Map<Array, Array<{line: number, column: number}>>} itemPositions - Start positions of the items of each sequence
+ * @returns {{line: number, column: number}|null} The zero-based position of the innermost sequence item
+ *   on the path, or null if the path does not start with a known item
+ */
+function sourcePosition(content, path, itemPositions) {
+  let value = content;
+  let position = null;
+
+  for (const segment of path) {
+    if (Array.isArray(value)) {
+      const positions = itemPositions.get(value);
+      position = (positions && positions[segment]) || position;
+    } else if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+      break;
+    }
+    value = value[segment];
+  }
+
+  return position;
+}
+
+/**
+ * Show the source lines around a position, with a marker under the column
+ *
+ * @private
+ * @param {string} sourceText - The source text
+ * @param {{line: number, column: number}} position - Zero-based line and column
+ * @returns {string} The code frame
+ *
+ * @example
+ * codeFrame('- div:\n  - "a href=\'x: y"\n- p:\n', { line: 1, column: 4 })
+ * // Returns:
+ * //   1 | - div:
+ * // > 2 |   - "a href='x: y"
+ * //     |     ^
+ * //   3 | - p:
+ */
+function codeFrame(sourceText, position) {
+  const lines = sourceText.split(/\r?\n/);
+  const first = Math.max(0, position.line - FRAME_CONTEXT_LINES);
+  const last = Math.min(lines.length - 1, position.line + FRAME_CONTEXT_LINES);
+  const width = String(last + 1).length;
+  const frame = [];
+
+  for (let i = first; i <= last; i++) {
+    // Skip the empty line after a trailing newline
+    if (i === lines.length - 1 && lines[i] === '' && i !== position.line) continue;
+
+    const gutter = String(i + 1).padStart(width);
+    if (i === position.line) {
+      frame.push(`> ${gutter} | ${lines[i]}`.trimEnd());
+      frame.push(`  ${' '.repeat(width)} | ${' '.repeat(position.column)}^`);
+    } else {
+      frame.push(`  ${gutter} | ${lines[i]}`.trimEnd());
+    }
+  }
+
+  return frame.join('\n');
+}
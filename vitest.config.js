@@ -2,10 +2,18 @@ import { defineConfig } from 'vitest/config'
 
 export default defineConfig({
   test: {
+    // Builds the CommonJS entry that puty.cjs.test.js requires
+    globalSetup: ['./spec/build-cjs.js'],
     forceRerunTriggers: [
       '**/*.js',
       '**/*.{test,spec}.yaml',
       '**/*.{test,spec}.yml'
     ],
+    server: {
+      deps: {
+        // Lets puty.cjs.test.js replace the modules puty imports
+        inline: ['puty']
+      }
+    }
   },
 });